@@ -1,11 +1,53 @@
-import React, { useState, useCallback, useMemo, memo } from 'react';
+import React, { useState, useCallback, useMemo, useEffect, useRef, memo } from 'react';
 import { 
     View, Dimensions, StyleSheet, Text, 
-    TouchableOpacity, Platform, Vibration 
+    TouchableOpacity, Platform, Vibration, PanResponder,
+    ScrollView, TextInput, Switch, Animated, InteractionManager 
 } from 'react-native';
 import * as Svg from 'react-native-svg'; 
+import { buildKeyboardLayout, polarToCartesian, getKeyCenter } from './src/geometry';
+import { STANDARD_LAYOUT, DEFAULT_LAYOUT_ID } from './src/layouts';
+import { validateLayout, getModeLayout } from './src/layoutSchema';
+import { loadUserLayouts, exportLayout, LAYOUTS_DIR } from './src/layoutStore';
+import F1_NARROW_SPECIAL from './layouts/f1-narrow-special.json';
+import F2_INSET from './layouts/f2-inset.json';
+import { findKeyAt, isInKeyboardArea } from './src/hitTest';
+import {
+    createProfileState, getActiveProfile, updateActiveProfile,
+    addProfile, duplicateProfile, renameProfile, deleteProfile, switchProfile,
+} from './src/profiles';
+import { loadProfiles, saveProfiles } from './src/profileStore';
+import {
+    createEditorState, moveCursor, insertText, deleteBackward, commitWord, replaceCurrentWord,
+    getWordAt, replaceWordAt, replaceRange, hasSelection,
+} from './src/textEditor';
+import {
+    GESTURE_CONFIG, SCORER_NAMES, getKeyCenters, createTemplateStore,
+    createTrace, extendTrace, livePredict, decodeTrace,
+} from './src/gestureDecoder';
+import { DEMO_LEXICON } from './src/lexicon';
+import { loadLexicon, USER_LEXICON_PATH } from './src/lexiconStore';
+import { loadGestureRanker, GESTURE_MODEL_PATH } from './src/gestureModelStore';
+import { buildConfusionModel, correctWord } from './src/autocorrect';
+import { decodeTap, tapLetterPrior, keyOffset } from './src/tapDecoder';
+import { createSession, createSessionId, createLogEvent, layoutParams, strokeRecord } from './src/sessionLog';
+import { pickPhrases } from './src/phrases';
+import {
+    createTrial, recordInput, recordTextChange, trialMetrics, summarizeTrials,
+} from './src/typingMetrics';
+import { loadPhrases, saveTypingTest, TYPING_TESTS_DIR } from './src/typingTestStore';
+import {
+    createSessionWriter, exportSession, readProfileEvents, SESSIONS_DIR,
+} from './src/sessionLogStore';
+import {
+    createTouchAggregate, addTouchEvent, aggregateEvents, touchReport, HEATMAP_CONFIG, HEATMAP_EVENT_TYPES,
+} from './src/touchHeatmap';
+import { addSweepPoint, checkSweep, placeTargets, fitReach, calibratedSettings } from './src/reachCalibration';
+import { keyOffsetGroup, applyKeyOffsets, recordKeyOffsets, countKeySamples } from './src/keyOffsets';
+import { createLanguageModel, contextBefore, observe, predictNext, completeWord } from './src/languageModel';
+import { loadLanguageModel, saveLearnedCounts } from './src/languageModelStore';
 
-const { Path, G, Text: SvgText } = Svg;
+const { Path, G, Text: SvgText, Polyline, Rect, Circle } = Svg;
 const { width, height } = Dimensions.get('window');
 
 /* =========================
@@ -23,93 +65,62 @@ const COLORS = {
     CURSOR: '#007aff',
     CONTROL_BG: '#e6e6e6',
     CONTROL_BTN: '#d1d1d1',
+    SELECTION_BG: '#b3d7ff',
+    HEAT_LABEL: '#ffd60a',
 };
 
 const DEFAULTS = {
     RADIUS: width * 1.25,
     OFFSET_X: 0,
     OFFSET_Y: 40,
+    HAND_MODE: 'LEFT',
+    LAYOUT_MODE: 'ALPHA',
+    // Phrases per typing test
+    TEST_TRIALS: 10,
+    // Input features, each switchable from settings
+    FEATURES: { tap: true, swipe: true, selection: true, autocorrect: true, logging: false },
+    // Swipe matcher, one of SCORER_NAMES in gestureDecoder
+    SCORER: 'MSE',
 };
 
-const CONSTANTS = {
-    BOTTOM_INSET: Platform.OS === 'ios' ? 34 : 20, 
-    RADIUS_STEP: 55, 
-};
+// Layouts shipped with the app. Variant files are checked like user imports.
+const BUNDLED_LAYOUTS = [STANDARD_LAYOUT, F1_NARROW_SPECIAL, F2_INSET].filter(layout => {
+    const errors = validateLayout(layout);
+    if (errors.length > 0) console.warn(`Bundled layout ${layout.id} is invalid`, errors);
+    return errors.length === 0;
+});
 
-/* =========================
-   1. LAYOUT CONFIGURATION
-   ========================= */
+// Settings a fresh profile starts from
+const DEFAULT_SETTINGS = {
+    radius: DEFAULTS.RADIUS,
+    offsetX: DEFAULTS.OFFSET_X,
+    offsetY: DEFAULTS.OFFSET_Y,
+    handMode: DEFAULTS.HAND_MODE,
+    layoutMode: DEFAULTS.LAYOUT_MODE,
+    layoutId: DEFAULT_LAYOUT_ID,
+    features: DEFAULTS.FEATURES,
+    scorer: DEFAULTS.SCORER,
+    blockedWords: [],
+    keyOffsets: {},
+};
 
-const LAYOUT_ALPHA = [
-    // Row 0 (QWERTY)
-    { 
-        chars: ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'], 
-        radialDepth: 0, 
-        startAngle: 15,  
-        keyWidth: 5.5,    
-        gap: 0.2          
-    }, 
-    // Row 1 (ASDF)
-    { 
-        chars: ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L'], 
-        radialDepth: 1, 
-        startAngle: 18, 
-        keyWidth: 5.5, 
-        gap: 0.2 
-    }, 
-    // Row 2 (SHIFT + ZXCV)
-    { 
-        chars: ['SHIFT', 'Z', 'X', 'C', 'V', 'B', 'N', 'M', 'DELETE'], 
-        radialDepth: 2, 
-        startAngle: 15, 
-        keyWidth: 5.6, 
-        gap: 0.25 
-    }, 
-];
-
-const LAYOUT_NUMERIC = [
-    { 
-        chars: ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'], 
-        radialDepth: 0, startAngle: 15, keyWidth: 5.5, gap: 0.2 
-    }, 
-    { 
-        chars: ['@', '#', '$', '_', '&', '-', '+', '(', ')', '/'], 
-        radialDepth: 1, startAngle: 18, keyWidth: 5.5, gap: 0.2 
-    }, 
-    { 
-        chars: ['SHIFT', '*', '"', "'", ':', ';', '!', '?', 'DELETE'], 
-        radialDepth: 2, startAngle: 8, keyWidth: 5.6, gap: 0.25 
-    }, 
-];
-
-
-// Helper: Polar to Cartesian
-const polarToCartesian = (center_x, center_y, radius, angleInDegrees) => {
-    const angleInRadians = (angleInDegrees - 90) * Math.PI / 180.0;
-    return {
-        x: center_x + (radius * Math.cos(angleInRadians)),
-        y: center_y + (radius * Math.sin(angleInRadians))
-    };
+const CONSTANTS = {
+    BOTTOM_INSET: Platform.OS === 'ios' ? 34 : 20, 
+    // Calibration touches above this fraction of the screen go to its panel
+    CALIBRATION_CAPTURE_TOP: 0.35,
 };
 
 /* =========================
    VISUAL COMPONENTS
    ========================= */
 
-const ArcVisual = memo(({ keyData, isShifted, centerY }) => {
-    const { keyChar, isSpecial, innerRadius, outerRadius, keyStartAngle, keyEndAngle, keyCenterAngle, centerX } = keyData;
-
-    // Safety check
-    const allValid = [innerRadius, outerRadius, keyStartAngle, keyEndAngle, keyCenterAngle].every(v => typeof v === 'number' && isFinite(v));
-    if (!allValid) return null;
-
+// SVG path of a key's ring sector
+const sectorPath = ({ innerRadius, outerRadius, keyStartAngle, keyEndAngle, centerX }, centerY) => {
     const innerStart = polarToCartesian(centerX, centerY, innerRadius, keyStartAngle);
     const innerEnd = polarToCartesian(centerX, centerY, innerRadius, keyEndAngle);
     const outerStart = polarToCartesian(centerX, centerY, outerRadius, keyStartAngle);
     const outerEnd = polarToCartesian(centerX, centerY, outerRadius, keyEndAngle);
-    
-    // SVG Path Definition
-    const arcPath = `
+    return `
         M ${innerStart.x} ${innerStart.y}
         L ${outerStart.x} ${outerStart.y}
         A ${outerRadius} ${outerRadius} 0 0 1 ${outerEnd.x} ${outerEnd.y}
@@ -117,6 +128,16 @@ const ArcVisual = memo(({ keyData, isShifted, centerY }) => {
         A ${innerRadius} ${innerRadius} 0 0 0 ${innerStart.x} ${innerStart.y}
         Z
     `;
+};
+
+const ArcVisual = memo(({ keyData, isShifted, centerY }) => {
+    const { keyChar, isSpecial, innerRadius, outerRadius, keyStartAngle, keyEndAngle, keyCenterAngle, centerX } = keyData;
+
+    // Safety check
+    const allValid = [innerRadius, outerRadius, keyStartAngle, keyEndAngle, keyCenterAngle].every(v => typeof v === 'number' && isFinite(v));
+    if (!allValid) return null;
+
+    const arcPath = sectorPath(keyData, centerY);
 
     const textRadius = (innerRadius + outerRadius) / 2;
     const textPosition = polarToCartesian(centerX, centerY, textRadius, keyCenterAngle);
@@ -168,39 +189,53 @@ const ArcVisual = memo(({ keyData, isShifted, centerY }) => {
     );
 });
 
+// --- Reach Heatmap Component ---
+const HEATMAP_SOURCES = ['OFF', 'SESSION', 'PROFILE'];
+const HEATMAP_REFRESH_MS = 3000;
 
-const ArcKey = memo(({ keyData, onPress, centerY }) => {
-    const { 
-        keyChar, innerRadius, outerRadius, 
-        keyCenterAngle, widthAngle, centerX
-    } = keyData;
-
-    const keyHeight = outerRadius - innerRadius;
-    const textRadius = (innerRadius + outerRadius) / 2;
-    const keyCenterPos = polarToCartesian(centerX, centerY, textRadius, keyCenterAngle);
-    
-    const rotation = keyCenterAngle - 90;
-    
-    const approximateWidth = textRadius * (Math.abs(widthAngle) * Math.PI / 180);
-
-    return (
-        <TouchableOpacity 
-            onPress={() => onPress(keyChar)}
-            delayPressIn={0} 
-            activeOpacity={0.3}
-            style={{
-                position: 'absolute',
-                width: approximateWidth + 10, 
-                height: keyHeight,
-                left: keyCenterPos.x - ((approximateWidth + 10) / 2),
-                top: keyCenterPos.y - (keyHeight / 2), 
-                transform: [{ rotate: `${rotation}deg` }],
-                backgroundColor: 'transparent',
-                zIndex: 10, 
-            }}
-        />
-    );
-});
+// Diagnostic layer over the keys: logged touch-downs binned into cells
+// (yellow to red with density) and each key's error rate as a red tint
+// with the percentage near its inner edge (see touchHeatmap.js).
+const ReachHeatmap = memo(({ report, keys, centerY }) => (
+    <G>
+        {keys.map(keyData => {
+            const rate = report.errorRates[keyData.keyChar];
+            if (rate === undefined) return null;
+            const { innerRadius, outerRadius, keyCenterAngle, centerX } = keyData;
+            const labelPos = polarToCartesian(centerX, centerY, innerRadius + (outerRadius - innerRadius) * 0.2, keyCenterAngle);
+            return (
+                <G key={keyData.keyChar + keyCenterAngle}>
+                    <Path d={sectorPath(keyData, centerY)} fill={COLORS.RED} opacity={Math.min(0.7, rate * 1.5)} />
+                    <SvgText
+                        x={labelPos.x}
+                        y={labelPos.y}
+                        fontSize="9"
+                        fill={COLORS.HEAT_LABEL}
+                        textAnchor="middle"
+                        alignmentBaseline="middle"
+                        transform={`rotate(${keyCenterAngle} ${labelPos.x} ${labelPos.y})`}
+                    >
+                        {`${Math.round(rate * 100)}%`}
+                    </SvgText>
+                </G>
+            );
+        })}
+        {report.cells.map(cell => {
+            const level = cell.count / report.max;
+            return (
+                <Rect
+                    key={`${cell.x},${cell.y}`}
+                    x={cell.x - HEATMAP_CONFIG.CELL_SIZE / 2}
+                    y={cell.y - HEATMAP_CONFIG.CELL_SIZE / 2}
+                    width={HEATMAP_CONFIG.CELL_SIZE}
+                    height={HEATMAP_CONFIG.CELL_SIZE}
+                    fill={`hsl(${Math.round(60 - 60 * level)}, 100%, 50%)`}
+                    opacity={0.25 + 0.5 * level}
+                />
+            );
+        })}
+    </G>
+));
 
 // --- Settings Control Component ---
 const SettingRow = ({ label, value, onChange, step = 10, min, max }) => (
@@ -234,172 +269,1175 @@ const SettingRow = ({ label, value, onChange, step = 10, min, max }) => (
     </View>
 );
 
+// --- Feature Toggle Component ---
+const FeatureToggle = ({ label, value, onChange }) => (
+    <View style={styles.settingRow}>
+        <Text style={styles.settingLabel}>{label}</Text>
+        <Switch value={value} onValueChange={onChange} trackColor={{ true: COLORS.ACCENT }} />
+    </View>
+);
+
+// --- Choice Row Component ---
+// Segmented control for a setting with a few named values.
+const ChoiceRow = ({ label, options, value, onChange }) => (
+    <View style={styles.settingRow}>
+        <Text style={styles.settingLabel}>{label}</Text>
+        <View style={styles.toggleContainer}>
+            {options.map(option => (
+                <TouchableOpacity
+                    key={option}
+                    style={[styles.toggleBtn, value === option && styles.toggleBtnActive]}
+                    onPress={() => onChange(option)}
+                >
+                    <Text style={[styles.toggleText, value === option && styles.toggleTextActive]}>{option}</Text>
+                </TouchableOpacity>
+            ))}
+        </View>
+    </View>
+);
+
+// --- Profile Manager Component ---
+// `onChange` receives a state updater, e.g. state => switchProfile(state, id)
+const ProfileManager = ({ profileState, onChange }) => {
+    const active = getActiveProfile(profileState);
+    const canDelete = profileState.profiles.length > 1;
+
+    return (
+        <View style={styles.profileSection}>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.profileList}>
+                {profileState.profiles.map(profile => {
+                    const isActive = profile.id === active.id;
+                    return (
+                        <TouchableOpacity
+                            key={profile.id}
+                            style={[styles.profileChip, isActive && styles.profileChipActive]}
+                            onPress={() => onChange(state => switchProfile(state, profile.id))}
+                        >
+                            <Text style={[styles.profileChipText, isActive && styles.profileChipTextActive]}>
+                                {profile.name || 'Untitled'}
+                            </Text>
+                        </TouchableOpacity>
+                    );
+                })}
+            </ScrollView>
+
+            <TextInput
+                style={styles.profileNameInput}
+                value={active.name}
+                onChangeText={name => onChange(state => renameProfile(state, active.id, name))}
+                placeholder="Profile name"
+            />
+
+            <View style={styles.profileActions}>
+                <TouchableOpacity
+                    style={styles.profileActionBtn}
+                    onPress={() => onChange(state => addProfile(state, DEFAULT_SETTINGS, 'Participant'))}
+                >
+                    <Text style={styles.profileActionText}>New</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                    style={styles.profileActionBtn}
+                    onPress={() => onChange(state => duplicateProfile(state, active.id))}
+                >
+                    <Text style={styles.profileActionText}>Duplicate</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                    style={[styles.profileActionBtn, !canDelete && styles.profileActionDisabled]}
+                    disabled={!canDelete}
+                    onPress={() => onChange(state => deleteProfile(state, active.id))}
+                >
+                    <Text style={[styles.profileActionText, { color: COLORS.RED }]}>Delete</Text>
+                </TouchableOpacity>
+            </View>
+        </View>
+    );
+};
+
+// --- Layout Picker Component ---
+const LayoutPicker = ({ layouts, activeId, onSelect, onReload, onExport, status }) => (
+    <View style={styles.profileSection}>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.profileList}>
+            {layouts.map(layout => {
+                const isActive = layout.id === activeId;
+                return (
+                    <TouchableOpacity
+                        key={layout.id}
+                        style={[styles.profileChip, isActive && styles.profileChipActive]}
+                        onPress={() => onSelect(layout.id)}
+                    >
+                        <Text style={[styles.profileChipText, isActive && styles.profileChipTextActive]}>
+                            {layout.name}
+                        </Text>
+                    </TouchableOpacity>
+                );
+            })}
+        </ScrollView>
+
+        <View style={styles.profileActions}>
+            <TouchableOpacity style={styles.profileActionBtn} onPress={onReload}>
+                <Text style={styles.profileActionText}>Import Files</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.profileActionBtn} onPress={onExport}>
+                <Text style={styles.profileActionText}>Export Layout</Text>
+            </TouchableOpacity>
+        </View>
+
+        {!!status && <Text style={styles.layoutStatus}>{status}</Text>}
+    </View>
+);
+
+// --- Decoder Files Component ---
+const LEXICON_SOURCES = { demo: 'demo list', bundled: 'bundled list', user: USER_LEXICON_PATH };
+
+const DecoderFilesInfo = ({ lexicon, ranker, loading, onReload }) => (
+    <View style={styles.profileSection}>
+        <View style={styles.profileActions}>
+            <TouchableOpacity
+                style={[styles.profileActionBtn, loading && styles.profileActionDisabled]}
+                onPress={onReload}
+                disabled={loading}
+            >
+                <Text style={styles.profileActionText}>Reload Word List & Model</Text>
+            </TouchableOpacity>
+        </View>
+        <Text style={styles.layoutStatus}>
+            {loading
+                ? 'Loading word list...'
+                : `${lexicon.size.toLocaleString()} words from ${LEXICON_SOURCES[lexicon.source] || lexicon.source}`}
+            {'\n'}
+            {ranker ? `Gesture model loaded from ${GESTURE_MODEL_PATH}` : 'No gesture model, NEURAL uses MSE'}
+        </Text>
+    </View>
+);
+
+// --- Blocked Words Row Component ---
+// Words hidden from the suggestion strip by long-pressing them.
+const BlockedWordsRow = ({ words, onClear }) => (
+    <View style={styles.settingRow}>
+        <Text style={styles.settingLabel}>Blocked Suggestions: {words.length}</Text>
+        <TouchableOpacity
+            style={[styles.profileActionBtn, words.length === 0 && styles.profileActionDisabled]}
+            onPress={onClear}
+            disabled={words.length === 0}
+        >
+            <Text style={styles.profileActionText}>Clear</Text>
+        </TouchableOpacity>
+    </View>
+);
+
+// --- Key Targets Row Component ---
+// Touches learned for the current layout and hand; reset forgets all of them.
+const KeyTargetsRow = ({ samples, onReset }) => (
+    <View style={styles.settingRow}>
+        <Text style={styles.settingLabel}>Learned Key Targets: {samples} touches</Text>
+        <TouchableOpacity
+            style={[styles.profileActionBtn, samples === 0 && styles.profileActionDisabled]}
+            onPress={onReset}
+            disabled={samples === 0}
+        >
+            <Text style={styles.profileActionText}>Reset</Text>
+        </TouchableOpacity>
+    </View>
+);
+
 /* =========================
    MAIN APP COMPONENT
    ========================= */
 
 export default function App() {
     // --- STATE ---
-    const [typedText, setTypedText] = useState('');
-    const [cursorIndex, setCursorIndex] = useState(0); 
     const [isShifted, setIsShifted] = useState(false); 
-    const [layoutMode, setLayoutMode] = useState('ALPHA');
-    const [handMode, setHandMode] = useState('LEFT'); 
     const [showSettings, setShowSettings] = useState(false);
 
-    // --- CUSTOMIZABLE GEOMETRY STATE ---
-    const [customRadius, setCustomRadius] = useState(DEFAULTS.RADIUS);
-    const [customOffsetX, setCustomOffsetX] = useState(DEFAULTS.OFFSET_X);
-    const [customOffsetY, setCustomOffsetY] = useState(DEFAULTS.OFFSET_Y);
+    // --- PROFILES & CUSTOMIZABLE GEOMETRY STATE ---
+    // Geometry, hand mode and layout choice all live on the active profile.
+    const [profileState, setProfileState] = useState(() => createProfileState(DEFAULT_SETTINGS));
+    const [isProfileLoaded, setIsProfileLoaded] = useState(false);
+
+    const activeProfile = getActiveProfile(profileState);
+    const {
+        radius: customRadius,
+        offsetX: customOffsetX,
+        offsetY: customOffsetY,
+        handMode,
+        layoutMode,
+        layoutId,
+        features,
+        scorer,
+        blockedWords,
+        keyOffsets,
+    } = activeProfile;
+
+    const updateSettings = useCallback((changes) => {
+        setProfileState(state => updateActiveProfile(state, changes));
+    }, []);
+    const setCustomRadius = (value) => updateSettings({ radius: value });
+    const setCustomOffsetX = (value) => updateSettings({ offsetX: value });
+    const setCustomOffsetY = (value) => updateSettings({ offsetY: value });
+    const setHandMode = (value) => updateSettings({ handMode: value });
+    const setLayoutMode = useCallback((value) => updateSettings({ layoutMode: value }), [updateSettings]);
+    const setFeature = (name, value) => updateSettings({ features: { ...features, [name]: value } });
+
+    // Restore the saved profiles once on launch
+    useEffect(() => {
+        let cancelled = false;
+        loadProfiles(DEFAULT_SETTINGS).then(stored => {
+            if (cancelled) return;
+            if (stored) setProfileState(stored);
+            setIsProfileLoaded(true);
+        });
+        return () => { cancelled = true; };
+    }, []);
 
+    // Persist on every change once the stored state has been read
+    useEffect(() => {
+        if (isProfileLoaded) saveProfiles(profileState);
+    }, [isProfileLoaded, profileState]);
+
+    // "Reset to Default" only covers the geometry controls it sits under;
+    // learned targets, blocked words and feature switches have their own rows
     const resetSettings = () => {
-        setCustomRadius(DEFAULTS.RADIUS);
-        setCustomOffsetX(DEFAULTS.OFFSET_X);
-        setCustomOffsetY(DEFAULTS.OFFSET_Y);
+        const { radius, offsetX, offsetY, handMode: defaultHand } = DEFAULT_SETTINGS;
+        updateSettings({ radius, offsetX, offsetY, handMode: defaultHand });
+    };
+
+    // --- LAYOUT DEFINITIONS ---
+    const [userLayouts, setUserLayouts] = useState([]);
+    const [layoutStatus, setLayoutStatus] = useState('');
+
+    const reloadLayouts = useCallback(async () => {
+        const { layouts, failures } = await loadUserLayouts();
+        const bundledIds = new Set(BUNDLED_LAYOUTS.map(l => l.id));
+        const accepted = layouts.filter(l => !bundledIds.has(l.id));
+        const clashes = layouts.filter(l => bundledIds.has(l.id)).map(l => `${l.id}: id is used by a built-in layout`);
+
+        setUserLayouts(accepted);
+        setLayoutStatus([
+            `${accepted.length} layout(s) loaded from ${LAYOUTS_DIR}`,
+            ...failures.map(f => `${f.file}: ${f.errors.join('; ')}`),
+            ...clashes,
+        ].join('\n'));
+    }, []);
+
+    useEffect(() => { reloadLayouts(); }, [reloadLayouts]);
+
+    const availableLayouts = useMemo(() => [...BUNDLED_LAYOUTS, ...userLayouts], [userLayouts]);
+    const activeLayout = availableLayouts.find(l => l.id === layoutId) || STANDARD_LAYOUT;
+
+    const handleExportLayout = async () => {
+        try {
+            const path = await exportLayout(activeLayout);
+            setLayoutStatus(`Exported ${activeLayout.name} to ${path}`);
+        } catch (err) {
+            setLayoutStatus(`Export failed: ${err.message}`);
+        }
+    };
+
+    // --- TEXT & SELECTION ---
+    const [editor, setEditor] = useState(() => createEditorState());
+    const { text: typedText, selection } = editor;
+    const [isSelectMode, setIsSelectMode] = useState(false);
+    const [suggestions, setSuggestions] = useState([]);
+
+    const isSelecting = features.selection && isSelectMode;
+
+    // --- LANGUAGE MODEL ---
+    // Counts are updated in place as words are committed; `lmVersion`
+    // re-renders predictions and schedules a save.
+    const [languageModel, setLanguageModel] = useState(() => createLanguageModel(DEMO_LEXICON));
+    const [lmVersion, setLmVersion] = useState(0);
+    const editorRef = useRef(editor);
+    editorRef.current = editor;
+
+    // Learns `word` in the context of the text before the cursor
+    const learnWord = useCallback((word) => {
+        const { text, selection } = editorRef.current;
+        observe(languageModel, contextBefore(text, selection.start), word);
+        setLmVersion(v => v + 1);
+    }, [languageModel]);
+
+    // Learns the word just before the cursor, if any (on SPACE / RETURN)
+    const learnWordAtCursor = useCallback(() => {
+        const { text, selection } = editorRef.current;
+        const word = (text.slice(0, selection.start).match(/[a-zA-Z']+$/) || [])[0];
+        if (word) {
+            observe(languageModel, contextBefore(text, selection.start - word.length), word);
+            setLmVersion(v => v + 1);
+        }
+    }, [languageModel]);
+
+    useEffect(() => {
+        if (lmVersion === 0) return undefined;
+        const timer = setTimeout(() => saveLearnedCounts(languageModel), 2000);
+        return () => clearTimeout(timer);
+    }, [languageModel, lmVersion]);
+
+    // --- SESSION LOGGING ---
+    // With logging on, every touch, keystroke and text change is appended to
+    // a session file (see sessionLog.js). A new session starts whenever
+    // logging is switched on or another profile becomes active. The events
+    // are also folded into the heatmap aggregate of the session.
+    const sessionWriterRef = useRef(null);
+    const sessionAggregateRef = useRef(null);
+    const logContextRef = useRef({});
+    logContextRef.current = {
+        layout: layoutParams(activeProfile),
+        geometry: {
+            screenWidth: width,
+            screenHeight: height,
+            handMode,
+            radius: customRadius,
+            offsetX: customOffsetX,
+            offsetY: customOffsetY,
+            bottomInset: CONSTANTS.BOTTOM_INSET,
+            layoutId: activeLayout.id,
+        },
+    };
+
+    const logEvent = useCallback((type, fields) => {
+        const writer = sessionWriterRef.current;
+        const { layout, trial } = logContextRef.current;
+        if (!writer) return;
+        const event = createLogEvent(writer.session, type, { ...layout, trial }, fields);
+        writer.log(event);
+        addTouchEvent(sessionAggregateRef.current, event);
+    }, []);
+
+    // SYNC marks the start of an EMG recording; exports count time from it
+    const [lastSyncAt, setLastSyncAt] = useState(null);
+    const [exportStatus, setExportStatus] = useState('');
+    const logSync = () => {
+        Vibration.vibrate(60);
+        logEvent('sync');
+        setLastSyncAt(Date.now());
+    };
+
+    const handleExportSession = async () => {
+        if (!sessionWriterRef.current) return;
+        const result = await exportSession(sessionWriterRef.current);
+        if (!result) setExportStatus('Export failed');
+        else {
+            setExportStatus(`${result.rows} rows written to ${result.path}`
+                + (result.synced ? '' : '\nNo SYNC tap in this session, times count from its start'));
+        }
     };
 
-    const handleKeyPress = useCallback((char) => {
+    useEffect(() => {
+        if (!features.logging || !isProfileLoaded) return undefined;
+        const writer = createSessionWriter(createSession(activeProfile));
+        sessionWriterRef.current = writer;
+        sessionAggregateRef.current = createTouchAggregate();
+        setLastSyncAt(null);
+        logEvent('session_start', { detail: `${activeProfile.name} ${width}x${height}` });
+        return () => {
+            sessionWriterRef.current = null;
+            writer.flush();
+        };
+        // Only a new profile or toggling logging starts a new session
+    }, [features.logging, isProfileLoaded, activeProfile.id]);
+
+    useEffect(() => {
+        logEvent('text', { text: editor.text, selStart: editor.selection.start, selEnd: editor.selection.end });
+    }, [editor, logEvent]);
+
+    // --- REACH HEATMAP ---
+    // Diagnostic overlay of logged touch-downs and per-key error rates, from
+    // the current session or from every session of the active profile. The
+    // current session comes from the in-memory aggregate fed by logEvent;
+    // the profile's earlier sessions are read from disk once (and again on
+    // Refresh), keeping only the event types the heatmap counts.
+    const [heatmapSource, setHeatmapSource] = useState('OFF');
+    const [heatmap, setHeatmap] = useState(null);
+    const [heatmapHistory, setHeatmapHistory] = useState(null);
+    const [heatmapVersion, setHeatmapVersion] = useState(0);
+
+    useEffect(() => {
+        setHeatmapHistory(null);
+        if (heatmapSource !== 'PROFILE') return undefined;
+        let cancelled = false;
+        const writer = sessionWriterRef.current;
+        const load = async () => {
+            const events = await readProfileEvents(activeProfile.id, {
+                types: HEATMAP_EVENT_TYPES,
+                skip: writer && writer.session.id,
+            });
+            if (!cancelled) setHeatmapHistory(aggregateEvents(events));
+        };
+        load();
+        return () => { cancelled = true; };
+    }, [heatmapSource, heatmapVersion, activeProfile.id, features.logging]);
+
+    useEffect(() => {
+        if (heatmapSource === 'OFF' || (heatmapSource === 'PROFILE' && !heatmapHistory)) {
+            setHeatmap(null);
+            return undefined;
+        }
+        const update = () => {
+            const current = sessionWriterRef.current ? [sessionAggregateRef.current] : [];
+            const aggregates = heatmapSource === 'PROFILE' ? [heatmapHistory, ...current] : current;
+            setHeatmap(touchReport(aggregates, layoutParams(activeProfile)));
+        };
+        update();
+        const timer = setInterval(update, HEATMAP_REFRESH_MS);
+        return () => clearInterval(timer);
+    }, [heatmapSource, heatmapHistory, heatmapVersion, activeProfile.id, handMode, layoutMode, layoutId, features.logging]);
+
+    const heatmapStatus = () => {
+        if (heatmapSource === 'SESSION' && !features.logging) return 'Switch on Session Logging to map this session';
+        if (!heatmap) return 'Reading sessions...';
+        return `${heatmap.touches} touches from ${heatmap.sessions} session(s) on this layout and hand`;
+    };
+
+    // --- TYPING TEST ---
+    // Transcription test: each trial shows a phrase, is timed from its first
+    // input and scored when the user moves on (see typingMetrics.js).
+    const [typingTest, setTypingTest] = useState(null);
+    const prevTextRef = useRef(editor.text);
+    logContextRef.current.trial = typingTest && typingTest.trial ? typingTest.trial.index : '';
+
+    const startTypingTest = async () => {
+        const { phrases, source } = await loadPhrases();
+        const chosen = pickPhrases(phrases, DEFAULTS.TEST_TRIALS);
+        const id = createSessionId();
+        prevTextRef.current = '';
+        setEditor(createEditorState());
+        logEvent('trial_start', { trial: 0, text: chosen[0], detail: id });
+        setTypingTest({
+            id,
+            profile: { id: activeProfile.id, name: activeProfile.name },
+            layout: layoutParams(activeProfile),
+            phraseSource: source,
+            phrases: chosen,
+            trials: [],
+            summary: null,
+            trial: createTrial(0, chosen[0]),
+        });
+    };
+
+    // Every key press, swipe and suggestion pick is one input of the trial
+    const countTestInput = useCallback((isDelete = false) => {
+        setTypingTest(test => (test && test.trial
+            ? { ...test, trial: recordInput(test.trial, Date.now(), isDelete) }
+            : test));
+    }, []);
+
+    useEffect(() => {
+        const before = prevTextRef.current;
+        prevTextRef.current = editor.text;
+        setTypingTest(test => (test && test.trial
+            ? { ...test, trial: recordTextChange(test.trial, before, editor.text) }
+            : test));
+    }, [editor.text]);
+
+    // Scores the current trial, saves the test and presents the next phrase
+    const nextTrial = () => {
+        const { id, trial, phrases } = typingTest;
+        const result = trialMetrics(trial, editor.text);
+        const trials = [...typingTest.trials, result];
+        const next = trial.index + 1 < phrases.length ? createTrial(trial.index + 1, phrases[trial.index + 1]) : null;
+        logEvent('trial_end', { trial: trial.index, text: result.transcribed, detail: id });
+        if (next) logEvent('trial_start', { trial: next.index, text: next.presented, detail: id });
+        const test = { ...typingTest, trials, summary: summarizeTrials(trials), trial: next };
+        const { trial: _current, ...saved } = test;
+        saveTypingTest(saved);
+        prevTextRef.current = '';
+        setEditor(createEditorState());
+        setTypingTest(test);
+    };
+
+    const stopTypingTest = () => {
+        const { id, trial } = typingTest;
+        if (trial) logEvent('trial_end', { trial: trial.index, text: editor.text, detail: `${id} stopped` });
+        setTypingTest(null);
+    };
+
+    // Context for gesture scoring and next-word predictions
+    const lmContext = useMemo(
+        () => contextBefore(editor.text, editor.selection.start),
+        [editor.text, editor.selection.start],
+    );
+    // Tap-typing strip: completions of the word around the cursor, or
+    // next-word predictions when the cursor is not touching a word
+    const cursorWord = useMemo(
+        () => getWordAt(editor.text, editor.selection.start),
+        [editor.text, editor.selection.start],
+    );
+    const tapSuggestions = useMemo(() => {
+        if (layoutMode !== 'ALPHA') return { kind: 'none', words: [] };
+        const blocked = new Set(blockedWords);
+        if (cursorWord.word.length === 0) {
+            return { kind: 'prediction', words: predictNext(languageModel, lmContext, 3, blocked) };
+        }
+        if (!features.tap) return { kind: 'none', words: [] };
+        blocked.add(cursorWord.word.toLowerCase());
+        return { kind: 'completion', words: completeWord(languageModel, lmContext, cursorWord.word, 3, blocked) };
+        // lmVersion: the model is mutated in place
+    }, [languageModel, lmContext, cursorWord, layoutMode, features.tap, blockedWords, lmVersion]);
+
+    // --- GEOMETRY ENGINE ---
+    const { keys: allKeys, centerY: activeCenterY } = useMemo(() => buildKeyboardLayout({
+        layout: getModeLayout(activeLayout, layoutMode),
+        screenWidth: width,
+        screenHeight: height,
+        handMode,
+        radius: customRadius,
+        offsetX: customOffsetX,
+        offsetY: customOffsetY,
+        bottomInset: CONSTANTS.BOTTOM_INSET,
+        radiusStep: activeLayout.radiusStep,
+        handInsetRatio: activeLayout.handInsetRatio,
+    }), [width, height, activeLayout, layoutMode, handMode, customRadius, customOffsetX, customOffsetY]);
+
+    // Taps are hit-tested against keys shifted onto the user's learned
+    // touch bias; ArcVisual keeps drawing allKeys.
+    const offsetGroup = keyOffsetGroup(activeLayout.id, handMode);
+    const hitKeys = useMemo(
+        () => applyKeyOffsets(allKeys, keyOffsets[offsetGroup]),
+        [allKeys, keyOffsets, offsetGroup],
+    );
+
+    // Letter taps of the word being typed, by text index, so the touches can
+    // be checked against the word once it is committed
+    const pendingTapsRef = useRef([]);
+    const recordTap = (index, touch) => {
+        pendingTapsRef.current = pendingTapsRef.current.filter(t => t.index < index);
+        pendingTapsRef.current.push({ index, ...touch });
+    };
+
+    // Takes the recorded taps of the word typed at [start, start + length)
+    const takeTaps = (start, length) => {
+        const taps = pendingTapsRef.current.filter(t => t.index >= start && t.index < start + length);
+        pendingTapsRef.current = [];
+        return taps;
+    };
+
+    // Folds the touches of a committed known word into the key targets
+    const learnKeyTargets = useCallback((taps, word) => {
+        const lower = word.toLowerCase();
+        if (taps.length !== word.length || !languageModel.lexicon.index.has(lower)) return;
+        const samples = taps.map((t, i) => {
+            const keyData = allKeys.find(k => !k.isSpecial && k.keyChar.toLowerCase() === lower[i]);
+            return keyData && { letter: lower[i], ...keyOffset(t.x, t.y, keyData) };
+        });
+        if (samples.some(sample => !sample)) return;
+        setProfileState(state => updateActiveProfile(state, {
+            keyOffsets: recordKeyOffsets(getActiveProfile(state).keyOffsets, offsetGroup, samples),
+        }));
+    }, [allKeys, languageModel, offsetGroup]);
+
+    // --- REACH CALIBRATION ---
+    // Sweep, then target taps, then a preview of the fitted arc before the
+    // geometry is written to the active profile (see reachCalibration.js).
+    const [calibration, setCalibration] = useState(null);
+
+    const newCalibration = (hand, message = '') => ({ step: 'SWEEP', handMode: hand, sweep: [], taps: [], message });
+    const startCalibration = () => {
+        setShowSettings(false);
+        setCalibration(newCalibration(handMode));
+    };
+    const restartCalibration = () => setCalibration(state => newCalibration(state.handMode));
+
+    const applyCalibration = () => {
+        updateSettings({ ...calibration.settings, handMode: calibration.handMode });
+        setCalibration(null);
+    };
+
+    const layoutOptions = (hand) => ({
+        screenWidth: width,
+        screenHeight: height,
+        handMode: hand,
+        bottomInset: CONSTANTS.BOTTOM_INSET,
+        radiusStep: activeLayout.radiusStep,
+        handInsetRatio: activeLayout.handInsetRatio,
+    });
+
+    const finishSweep = (state) => {
+        const checked = checkSweep(state.sweep, { screenWidth: width, handMode: state.handMode });
+        if (checked.error) return { ...state, sweep: [], message: checked.error };
+        return { ...state, step: 'TAPS', targets: placeTargets(checked.circle, checked.span), message: '' };
+    };
+
+    const finishTaps = (state) => {
+        const fit = fitReach(state.sweep, state.taps);
+        if (!fit) return newCalibration(state.handMode, 'Could not fit an arc, please sweep again');
+        const rows = getModeLayout(activeLayout, 'ALPHA').rows;
+        return { ...state, step: 'PREVIEW', fit, settings: calibratedSettings(fit, { rows, ...layoutOptions(state.handMode) }) };
+    };
+
+    // Read by the calibration responder, which is created once
+    const calibrationTouchRef = useRef(null);
+    calibrationTouchRef.current = (type, x, y) => setCalibration(state => {
+        if (!state) return state;
+        if (state.step === 'SWEEP') {
+            const sweep = type === 'down' ? [{ x, y }] : addSweepPoint(state.sweep, x, y);
+            return type === 'up' ? finishSweep({ ...state, sweep }) : { ...state, sweep };
+        }
+        if (state.step === 'TAPS' && type === 'up') {
+            const taps = [...state.taps, { x, y }];
+            return taps.length === state.targets.length ? finishTaps({ ...state, taps }) : { ...state, taps };
+        }
+        return state;
+    });
+
+    const previewKeys = useMemo(() => {
+        if (!calibration || calibration.step !== 'PREVIEW') return [];
+        return buildKeyboardLayout({
+            layout: getModeLayout(activeLayout, layoutMode),
+            ...layoutOptions(calibration.handMode),
+            ...calibration.settings,
+        }).keys;
+    }, [calibration, activeLayout, layoutMode]);
+
+    // Arc-aware autocorrect follows the same key positions
+    const confusionModel = useMemo(() => buildConfusionModel(allKeys), [allKeys]);
+
+    // The last autocorrection, undone by a DELETE right after it. What the
+    // model and key targets learn from it waits until that chance has
+    // passed, so an undo leaves nothing behind.
+    const lastCorrectionRef = useRef(null);
+
+    const settleCorrection = useCallback((undone) => {
+        const correction = lastCorrectionRef.current;
+        lastCorrectionRef.current = null;
+        if (!correction) return;
+        const word = undone ? correction.typed : correction.corrected;
+        observe(languageModel, correction.context, word);
+        setLmVersion(v => v + 1);
+        learnKeyTargets(correction.taps, word);
+    }, [languageModel, learnKeyTargets]);
+
+    // Letter taps are re-scored around the touch point with the language
+    // model (see tapDecoder.js); other keys keep the sector they hit.
+    const resolveTap = useCallback((keyChar, touch) => {
+        if (!touch || layoutMode !== 'ALPHA' || !/^[a-z]$/i.test(keyChar)) return keyChar;
+        const { text, selection } = editorRef.current;
+        const prefix = (text.slice(0, selection.start).match(/[a-zA-Z']+$/) || [''])[0];
+        const prior = tapLetterPrior(languageModel, contextBefore(text, selection.start), prefix);
+        const keyData = decodeTap(hitKeys, touch.x, touch.y, prior);
+        return keyData ? keyData.keyChar : keyChar;
+    }, [layoutMode, languageModel, hitKeys]);
+
+    // `touch` is the tap position when the key came from the touch surface
+    const handleKeyPress = useCallback((keyChar, touch) => {
         Vibration.vibrate(10); 
-        setTypedText(currentText => {
-            let newText = currentText;
+        const char = resolveTap(keyChar, touch);
+        logEvent('key', { key: char, detail: touch ? 'tap' : 'button' });
+        countTestInput(char === 'DELETE');
 
-            if (char === '<') {
-                setCursorIndex(prev => Math.max(0, prev - 1));
-                return currentText;
-            }
-            if (char === '>') {
-                setCursorIndex(prev => Math.min(currentText.length, prev + 1));
-                return currentText;
-            }
+        if (char === 'SHIFT') {
+            setIsShifted(prev => !prev);
+            return;
+        }
+        if (char === '123') {
+            setLayoutMode('NUMERIC');
+            return;
+        }
+        if (char === 'ABC') {
+            setLayoutMode('ALPHA');
+            return;
+        }
 
-            if (char === 'SHIFT') {
-                setIsShifted(prev => !prev);
-                return currentText;
-            }
-            if (char === '123') {
-                setLayoutMode('NUMERIC');
-                return currentText;
-            }
-            if (char === 'ABC') {
-                setLayoutMode('ALPHA');
-                return currentText;
-            }
+        // Cursor keys extend the selection while in select mode
+        if (char === '<' || char === '>') {
+            setEditor(state => moveCursor(state, char === '<' ? -1 : 1, isSelecting));
+            return;
+        }
 
-            if (char === 'DELETE') {
-                if (cursorIndex > 0) {
-                    newText = currentText.slice(0, cursorIndex - 1) + currentText.slice(cursorIndex);
-                    setCursorIndex(prev => prev - 1);
-                }
-                return newText;
-            }
+        setSuggestions([]);
+        const correction = lastCorrectionRef.current;
+        // Right after a correction and its separator: restore the typed word
+        const isUndo = char === 'DELETE'
+            && correction
+            && !hasSelection(editorRef.current)
+            && editorRef.current.selection.start === correction.start + correction.corrected.length + 1
+            && editorRef.current.text.slice(correction.start, correction.start + correction.corrected.length)
+                === correction.corrected;
+        settleCorrection(isUndo);
 
-            if (char === 'RETURN') {
-                 newText = currentText.slice(0, cursorIndex) + '\n' + currentText.slice(cursorIndex);
-                 setCursorIndex(prev => prev + 1);
-                 return newText;
+        if (char === 'SPACE' || char === 'RETURN') {
+            const { text, selection } = editorRef.current;
+            const typed = (text.slice(0, selection.start).match(/[a-zA-Z']+$/) || [])[0];
+            const corrected = typed && features.autocorrect && layoutMode === 'ALPHA' && !hasSelection(editorRef.current)
+                ? correctWord(confusionModel, languageModel, contextBefore(text, selection.start), typed)
+                : null;
+            const start = typed ? selection.start - typed.length : selection.start;
+            if (corrected) {
+                lastCorrectionRef.current = {
+                    start, typed, corrected, context: contextBefore(text, start), taps: takeTaps(start, typed.length),
+                };
+                setEditor(state => replaceRange(state, start, start + typed.length, corrected));
+            } else {
+                learnWordAtCursor();
+                if (typed && layoutMode === 'ALPHA') learnKeyTargets(takeTaps(start, typed.length), typed);
             }
+        }
 
+        if (char === 'DELETE') {
+            if (isUndo) {
+                const { start, typed, corrected } = correction;
+                setEditor(state => replaceRange(state, start, start + corrected.length, typed));
+            } else {
+                setEditor(deleteBackward);
+            }
+        } else if (char === 'RETURN') {
+            setEditor(state => insertText(state, '\n'));
+        } else {
             let textToAdd = char;
             if (char === 'SPACE') textToAdd = ' ';
             else if (layoutMode === 'ALPHA') {
                 textToAdd = isShifted ? char.toUpperCase() : char.toLowerCase();
             }
+            if (touch && layoutMode === 'ALPHA' && /^[a-z]$/i.test(char) && !hasSelection(editorRef.current)) {
+                recordTap(editorRef.current.selection.start, touch);
+            }
+            // Replaces the selection if there is one
+            setEditor(state => insertText(state, textToAdd));
+            if (isSelectMode) setIsSelectMode(false);
+        }
+
+        if (isShifted && char.length === 1) setIsShifted(false);
+    }, [
+        isShifted, layoutMode, isSelectMode, isSelecting, setLayoutMode, learnWordAtCursor,
+        features.autocorrect, confusionModel, languageModel, resolveTap, learnKeyTargets, logEvent,
+        countTestInput, settleCorrection,
+    ]);
+
+    // Inserts the outcome of a finished swipe (see decodeTrace)
+    const commitSwipe = useCallback((result, trace) => {
+        if (!result) return;
+        Vibration.vibrate(8);
+        countTestInput();
+        settleCorrection(false);
+        if (result.action === 'word') {
+            const word = isShifted ? result.word[0].toUpperCase() + result.word.slice(1) : result.word;
+            learnWord(word);
+            setEditor(state => commitWord(state, word));
+            logEvent('swipe', { key: word, detail: result.accepted ? 'accepted' : 'suggested' });
+            if (sessionWriterRef.current) {
+                sessionWriterRef.current.logStroke(strokeRecord(result.word, trace.points, logContextRef.current.geometry));
+            }
+        } else {
+            setEditor(state => commitWord(state, result.letters, false));
+            logEvent('swipe', { key: result.letters, detail: 'letters' });
+        }
+        setSuggestions(result.candidates.slice(0, 3).map(c => c.w));
+        if (isShifted) setIsShifted(false);
+    }, [isShifted, learnWord, logEvent, countTestInput, settleCorrection]);
 
-            newText = currentText.slice(0, cursorIndex) + textToAdd + currentText.slice(cursorIndex);
-            setCursorIndex(prev => prev + 1);
-            return newText;
+    const applySuggestion = (word) => setEditor(state => replaceCurrentWord(state, word));
+
+    // Next-word predictions are inserted as a new word
+    const applyPrediction = (word) => {
+        learnWord(word);
+        setEditor(state => commitWord(state, word));
+    };
+
+    // Completions replace the word around the cursor in place, keeping its
+    // capitalisation
+    const applyCompletion = (word) => {
+        const { text, selection } = editorRef.current;
+        const typed = getWordAt(text, selection.start).word;
+        const cased = /^[A-Z]/.test(typed) ? word[0].toUpperCase() + word.slice(1) : word;
+        learnWord(word);
+        setEditor(state => replaceWordAt(state, state.selection.start, cased));
+    };
+
+    // Long-press hides a word from the suggestion strip for this profile
+    const blockSuggestion = (word) => {
+        Vibration.vibrate(20);
+        updateSettings({ blockedWords: [...blockedWords, word.toLowerCase()] });
+    };
+
+    // --- SWIPE DECODER ---
+    // The demo list keeps swiping usable while the full word list loads;
+    // without a gesture model the NEURAL scorer falls back to MSE.
+    const [lexicon, setLexicon] = useState(DEMO_LEXICON);
+    const [gestureRanker, setGestureRanker] = useState(null);
+    const [isLexiconLoading, setIsLexiconLoading] = useState(true);
+
+    const reloadDecoderFiles = useCallback(() => {
+        setIsLexiconLoading(true);
+        // Building the index takes a moment; let the first frames render
+        InteractionManager.runAfterInteractions(async () => {
+            const nextLexicon = await loadLexicon();
+            setLexicon(nextLexicon);
+            setLanguageModel(await loadLanguageModel(nextLexicon));
+            setGestureRanker(await loadGestureRanker());
+            setIsLexiconLoading(false);
         });
+    }, []);
 
-        if (isShifted && char.length === 1 && char !== '<' && char !== '>') setIsShifted(false);
-    }, [isShifted, layoutMode, cursorIndex]);
+    useEffect(() => { reloadDecoderFiles(); }, [reloadDecoderFiles]);
 
+    // Word templates are traced through the key centers of the live layout,
+    // so radius, offsets and right-hand mirroring all carry into swipe
+    // decoding. The store only rebuilds when the letters actually move.
+    const templateStoreRef = useRef(null);
+    if (!templateStoreRef.current) templateStoreRef.current = createTemplateStore();
+    const wordTemplates = useMemo(() => templateStoreRef.current.get(getKeyCenters(allKeys)), [allKeys]);
+    const decoder = useMemo(
+        () => ({ lexicon, templates: wordTemplates, scorer, ranker: gestureRanker, languageModel, context: lmContext }),
+        [lexicon, wordTemplates, scorer, gestureRanker, languageModel, lmContext],
+    );
 
-    // --- GEOMETRY ENGINE ---
-    const activeCenterY = height - CONSTANTS.BOTTOM_INSET + customOffsetY;
-
-    const allKeys = useMemo(() => {
-        const keys = [];
-        const activeLayout = layoutMode === 'ALPHA' ? LAYOUT_ALPHA : LAYOUT_NUMERIC;
-        const isRightHanded = handMode === 'RIGHT';
-
-        // 1. Dynamic Center X with User Adjustment
-        // We add the customOffsetX to the base hand position
-        const baseHandX = isRightHanded ? width * 1.2 : width * -0.2;
-        const dynamicCenterX = baseHandX + customOffsetX;
-
-        // 2. Direction Multiplier
-        const dir = isRightHanded ? -1 : 1;
-
-        const calculateKeyGeometry = (char, startAngle, widthAngle, innerRadius, outerRadius, isSpecial = false) => {
-            const keyEndAngle = startAngle + (widthAngle * dir);
-            const keyCenterAngle = startAngle + ((widthAngle * dir) / 2);
-
-            return {
-                keyChar: char,
-                isSpecial,
-                innerRadius,
-                outerRadius,
-                keyCenterAngle,
-                keyStartAngle: startAngle, 
-                keyEndAngle,   
-                widthAngle: widthAngle * dir,
-                centerX: dynamicCenterX 
-            };
+    const [trail, setTrail] = useState([]);
+    const [liveSuggestions, setLiveSuggestions] = useState([]);
+    const [highlightKey, setHighlightKey] = useState(null);
+    const highlightAnim = useRef(new Animated.Value(0)).current;
+
+    const traceRef = useRef(null);
+    const touchStartRef = useRef(null);
+    const liveTimerRef = useRef(null);
+
+    // The responder is created once; its handlers read the latest render's
+    // values through this ref so nothing is recreated mid-gesture.
+    const latestRef = useRef({});
+    latestRef.current = { hitKeys, decoder, features, layoutMode, handleKeyPress, commitSwipe, logEvent };
+
+    const showHighlight = (keyData) => {
+        const pos = getKeyCenter(keyData);
+        setHighlightKey({ x: pos.x, y: pos.y, label: keyData.keyChar });
+        Animated.timing(highlightAnim, { toValue: 1, duration: 80, useNativeDriver: true }).start();
+    };
+
+    const endSwipe = () => {
+        if (liveTimerRef.current) clearTimeout(liveTimerRef.current);
+        traceRef.current = null;
+        touchStartRef.current = null;
+        setTrail([]);
+        setLiveSuggestions([]);
+        setHighlightKey(null);
+        Animated.timing(highlightAnim, { toValue: 0, duration: 160, useNativeDriver: true }).start();
+    };
+
+    // --- TOUCH SURFACE ---
+    // One responder for the whole keyboard. Taps are resolved on release
+    // against the exact arc sectors; once the finger travels far enough over
+    // the letters the touch becomes a swipe and goes to the gesture decoder.
+    // Touches anywhere in the keyboard area are claimed so misses get logged
+    // too; those that start off every key type nothing.
+    const keyboardResponder = useMemo(() => {
+        const keyAt = (x, y) => findKeyAt(x, y, latestRef.current.hitKeys);
+        const logTouch = (type, x, y) => {
+            const keyData = keyAt(x, y);
+            latestRef.current.logEvent(type, { x, y, key: keyData ? keyData.keyChar : '' });
         };
 
-        // 3. Generate Main Rows
-        activeLayout.forEach((row) => {
-            // Use customRadius instead of constant
-            const outerRadius = customRadius - (row.radialDepth * CONSTANTS.RADIUS_STEP);
-            const innerRadius = outerRadius - CONSTANTS.RADIUS_STEP;
-            
-            let currentAngle = row.startAngle * dir; 
-            
-            row.chars.forEach(char => {
-                const thisKeyWidth = char.length > 1 ? 9 : row.keyWidth;
-                const isSpecial = char.length > 1;
+        return PanResponder.create({
+            onStartShouldSetPanResponder: (evt) => {
+                const { locationX, locationY } = evt.nativeEvent;
+                return isInKeyboardArea(locationX, locationY, latestRef.current.hitKeys);
+            },
+            onPanResponderGrant: (evt) => {
+                const { locationX, locationY } = evt.nativeEvent;
+                const onKey = keyAt(locationX, locationY) !== null;
+                touchStartRef.current = { x: locationX, y: locationY, t: Date.now(), onKey };
+                traceRef.current = null;
+                logTouch('touch_down', locationX, locationY);
+            },
+            onPanResponderMove: (evt) => {
+                const { locationX, locationY } = evt.nativeEvent;
+                logTouch('touch_move', locationX, locationY);
+                const { features: enabled, layoutMode: mode, decoder: activeDecoder } = latestRef.current;
+                const start = touchStartRef.current;
+                if (!start || !start.onKey) return;
 
-                keys.push(calculateKeyGeometry(char, currentAngle, thisKeyWidth, innerRadius, outerRadius, isSpecial));
-                currentAngle += ((thisKeyWidth + row.gap) * dir); 
-            });
-        });
+                if (!traceRef.current) {
+                    // Swiping only applies to the letter layout
+                    if (!enabled.swipe || mode !== 'ALPHA') return;
+                    if (Math.hypot(locationX - start.x, locationY - start.y) < GESTURE_CONFIG.SWIPE_MIN_DISTANCE) return;
+                    traceRef.current = createTrace();
+                    const startKey = keyAt(start.x, start.y);
+                    extendTrace(traceRef.current, start.x, start.y, start.t, startKey && startKey.keyChar);
+                }
 
-        // 4. Generate Control Row
-        const controlRowDepth = 3; 
-        const controlOuterRadius = customRadius - (controlRowDepth * CONSTANTS.RADIUS_STEP);
-        const controlInnerRadius = controlOuterRadius - CONSTANTS.RADIUS_STEP;
+                const keyData = keyAt(locationX, locationY);
+                extendTrace(traceRef.current, locationX, locationY, Date.now(), keyData && keyData.keyChar);
+                setTrail(traceRef.current.points.map(p => ({ x: p.x, y: p.y })));
+                if (keyData) showHighlight(keyData);
 
-        const addControlKey = (char, angle, widthVal) => {
-             keys.push(calculateKeyGeometry(char, angle * dir, widthVal, controlInnerRadius, controlOuterRadius, true));
+                // live prediction (debounced)
+                if (liveTimerRef.current) clearTimeout(liveTimerRef.current);
+                liveTimerRef.current = setTimeout(() => {
+                    if (traceRef.current) setLiveSuggestions(livePredict(activeDecoder, traceRef.current));
+                }, GESTURE_CONFIG.LIVE_PREDICT_INTERVAL_MS);
+            },
+            onPanResponderRelease: (evt) => {
+                const latest = latestRef.current;
+                const trace = traceRef.current;
+                const start = touchStartRef.current;
+                logTouch('touch_up', evt.nativeEvent.locationX, evt.nativeEvent.locationY);
+                if (!start || !start.onKey) {
+                    // A miss: logged above, nothing to type
+                } else if (trace) {
+                    latest.commitSwipe(decodeTrace(latest.decoder, trace), trace);
+                } else {
+                    const { locationX, locationY } = evt.nativeEvent;
+                    const keyData = keyAt(locationX, locationY);
+                    // With tap typing off, only the special keys respond to taps
+                    if (keyData && (latest.features.tap || keyData.isSpecial)) {
+                        latest.handleKeyPress(keyData.keyChar, { x: locationX, y: locationY });
+                    }
+                }
+                endSwipe();
+            },
+            onPanResponderTerminate: endSwipe,
+        });
+    }, []);
+
+    // Takes over the touch surface while calibrating
+    const calibrationResponder = useMemo(() => {
+        const touch = (type) => (evt) => {
+            const { locationX, locationY } = evt.nativeEvent;
+            calibrationTouchRef.current(type, locationX, locationY);
         };
+        return PanResponder.create({
+            onStartShouldSetPanResponder: (evt) => evt.nativeEvent.locationY > height * CONSTANTS.CALIBRATION_CAPTURE_TOP,
+            onPanResponderGrant: touch('down'),
+            onPanResponderMove: touch('move'),
+            onPanResponderRelease: touch('up'),
+        });
+    }, []);
 
-        const toggleLabel = layoutMode === 'ALPHA' ? '123' : 'ABC';
-        addControlKey(toggleLabel, 19, 7);
-        addControlKey('<', 27, 7);
-        addControlKey('SPACE', 35, 20);
-        addControlKey('>', 56, 7);
-        addControlKey('RETURN', 64, 7);
+    const renderTrail = () => {
+        if (trail.length < 2) return null;
+        const points = trail.map(p => `${p.x},${p.y}`).join(' ');
+        return (
+            <Polyline
+                points={points}
+                fill="none"
+                stroke={COLORS.ACCENT}
+                strokeWidth={4}
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                opacity={0.7}
+            />
+        );
+    };
 
-        return keys;
-    }, [width, height, layoutMode, handMode, customRadius, customOffsetX]); 
+    // magnifier popup for the key under the finger while swiping
+    const renderMagnifier = () => {
+        if (!highlightKey) return null;
+        const scale = highlightAnim.interpolate({ inputRange: [0, 1], outputRange: [0.2, 1.0] });
+        return (
+            <Animated.View
+                pointerEvents="none"
+                style={[styles.magnifier, {
+                    // Keep the bubble on screen near either edge
+                    left: Math.min(Math.max(highlightKey.x - 28, 0), width - 56),
+                    top: highlightKey.y - 72,
+                    transform: [{ scale }],
+                }]}
+            >
+                <Text style={styles.magnifierText}>{highlightKey.label}</Text>
+            </Animated.View>
+        );
+    };
+
+    // Sweep trace, targets and taps, and the fitted arc with the new key
+    // outlines in the preview
+    const renderCalibrationLayer = () => {
+        const { step, sweep, targets = [], taps, fit } = calibration;
+        return (
+            <G>
+                {step === 'PREVIEW' && previewKeys.map(keyData => (
+                    <Path
+                        key={keyData.keyChar + keyData.keyCenterAngle}
+                        d={sectorPath(keyData, keyData.centerY)}
+                        fill="none"
+                        stroke={COLORS.ACCENT}
+                        strokeWidth={2}
+                    />
+                ))}
+                {fit && (
+                    <Circle cx={fit.x} cy={fit.y} r={fit.radius} fill="none" stroke={COLORS.HEAT_LABEL} strokeWidth={2} strokeDasharray="8 6" />
+                )}
+                {sweep.length > 1 && (
+                    <Polyline
+                        points={sweep.map(p => `${p.x},${p.y}`).join(' ')}
+                        fill="none"
+                        stroke={COLORS.ACCENT}
+                        strokeWidth={4}
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        opacity={step === 'SWEEP' ? 0.8 : 0.3}
+                    />
+                )}
+                {step === 'TAPS' && targets.map((target, i) => (
+                    <Circle
+                        key={`target${i}`}
+                        cx={target.x}
+                        cy={target.y}
+                        r={16}
+                        fill={i === taps.length ? COLORS.ACCENT : 'none'}
+                        stroke={COLORS.ACCENT}
+                        strokeWidth={2}
+                        opacity={i < taps.length ? 0.3 : 0.9}
+                    />
+                ))}
+                {taps.map((tap, i) => (
+                    <Circle key={`tap${i}`} cx={tap.x} cy={tap.y} r={4} fill={COLORS.HEAT_LABEL} />
+                ))}
+            </G>
+        );
+    };
+
+    const renderCalibration = () => {
+        const { step, handMode: hand, targets = [], taps, fit, settings, message } = calibration;
+        const instructions = {
+            SWEEP: 'Hold the phone as you type and sweep your thumb along its most comfortable arc, '
+                + 'from one end of its reach to the other.',
+            TAPS: `Tap the filled target (${taps.length + 1} of ${targets.length}).`,
+            PREVIEW: settings && `Radius ${settings.radius} · X ${settings.offsetX} · Y ${settings.offsetY}`,
+        }[step];
+        return (
+            <View style={styles.testPanel}>
+                <Text style={styles.testLabel}>Thumb calibration, {hand.toLowerCase()} hand</Text>
+                <Text style={styles.testPhrase}>{instructions}</Text>
+                {step === 'PREVIEW' && (
+                    <Text style={styles.testLabel}>
+                        Outlined keys show the fitted layout; the arc fits your touches to ±{fit.residual.toFixed(0)} px
+                    </Text>
+                )}
+                {!!message && <Text style={[styles.testLabel, { color: COLORS.RED }]}>{message}</Text>}
+                <View style={styles.profileActions}>
+                    {step === 'PREVIEW' && (
+                        <TouchableOpacity style={styles.profileActionBtn} onPress={applyCalibration}>
+                            <Text style={styles.profileActionText}>Apply</Text>
+                        </TouchableOpacity>
+                    )}
+                    {step !== 'SWEEP' && (
+                        <TouchableOpacity style={styles.profileActionBtn} onPress={restartCalibration}>
+                            <Text style={styles.profileActionText}>Start Over</Text>
+                        </TouchableOpacity>
+                    )}
+                    <TouchableOpacity style={styles.profileActionBtn} onPress={() => setCalibration(null)}>
+                        <Text style={[styles.profileActionText, { color: COLORS.RED }]}>Cancel</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        );
+    };
 
     const renderTextWithCursor = () => {
-        const beforeCursor = typedText.slice(0, cursorIndex);
-        const afterCursor = typedText.slice(cursorIndex);
+        const minPos = Math.min(selection.start, selection.end);
+        const maxPos = Math.max(selection.start, selection.end);
+        const beforeSelection = typedText.slice(0, minPos);
+        const afterSelection = typedText.slice(maxPos);
         return (
             <Text style={styles.typedText}>
-                {beforeCursor}
-                <Text style={{ color: COLORS.CURSOR, fontWeight: 'bold' }}>|</Text>
-                {afterCursor}
+                {beforeSelection}
+                {minPos !== maxPos ? (
+                    <Text style={{ backgroundColor: COLORS.SELECTION_BG }}>{typedText.slice(minPos, maxPos)}</Text>
+                ) : (
+                    <Text style={{ color: COLORS.CURSOR, fontWeight: 'bold' }}>|</Text>
+                )}
+                {afterSelection}
             </Text>
         );
     };
 
+    const formatPct = (v) => `${(v * 100).toFixed(1)}%`;
+    const formatResult = (r) => (
+        `${r.wpm.toFixed(1)} WPM · KSPC ${r.kspc.toFixed(2)} · `
+        + `${formatPct(r.uncorrectedErrorRate)} uncorrected · ${formatPct(r.correctedErrorRate)} corrected`
+    );
+
+    const renderTypingTest = () => {
+        const { trial, trials, phrases, summary } = typingTest;
+        const last = trials[trials.length - 1];
+        return (
+            <View style={styles.testPanel}>
+                {trial ? (
+                    <>
+                        <Text style={styles.testLabel}>Trial {trial.index + 1} of {phrases.length}</Text>
+                        <Text style={styles.testPhrase}>{trial.presented}</Text>
+                        {last && <Text style={styles.testLabel}>Last: {formatResult(last)}</Text>}
+                    </>
+                ) : (
+                    <>
+                        <Text style={styles.testLabel}>Test finished, saved to {TYPING_TESTS_DIR}</Text>
+                        <Text style={styles.testPhrase}>{formatResult(summary)}</Text>
+                    </>
+                )}
+                <View style={styles.profileActions}>
+                    {trial && (
+                        <TouchableOpacity
+                            style={[styles.profileActionBtn, trial.inputs === 0 && styles.profileActionDisabled]}
+                            onPress={nextTrial}
+                            disabled={trial.inputs === 0}
+                        >
+                            <Text style={styles.profileActionText}>
+                                {trial.index + 1 < phrases.length ? 'Next Phrase' : 'Finish'}
+                            </Text>
+                        </TouchableOpacity>
+                    )}
+                    <TouchableOpacity style={styles.profileActionBtn} onPress={stopTypingTest}>
+                        <Text style={styles.profileActionText}>{trial ? 'Stop Test' : 'Close'}</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        );
+    };
+
+    const renderSuggestionRow = () => {
+        // Live swipe guesses, then the last swipe's alternatives, then the
+        // tap-typing strip (completions or next-word predictions)
+        const swipeList = liveSuggestions.length ? liveSuggestions : suggestions;
+        const kind = swipeList.length > 0 ? 'swipe' : tapSuggestions.kind;
+        const shown = swipeList.length > 0 ? swipeList : tapSuggestions.words;
+        const apply = { swipe: applySuggestion, prediction: applyPrediction, completion: applyCompletion }[kind];
+        // The best candidate sits nearest the thumb
+        const isRight = handMode === 'RIGHT';
+        return (
+            <View style={[styles.suggestionRow, isRight ? styles.suggestionRowRight : styles.suggestionRowLeft]}>
+                {features.selection && (
+                    <TouchableOpacity 
+                        onPress={() => setIsSelectMode(!isSelectMode)}
+                        style={[styles.modeButton, isSelectMode && styles.modeButtonActive]}
+                    >
+                        <Text style={[styles.modeText, isSelectMode && styles.modeTextActive]}>
+                            {isSelectMode ? 'SELECTING...' : 'SELECT'}
+                        </Text>
+                    </TouchableOpacity>
+                )}
+                {shown.length === 0 ? (
+                    <Text style={{ color: '#999', fontSize: 12 }}>
+                        {layoutMode === 'NUMERIC' ? 'Numbers' : 'Alpha'} | {handMode} Hand
+                    </Text>
+                ) : shown.map(word => (
+                    <TouchableOpacity
+                        key={word}
+                        onPress={() => { countTestInput(); apply(word); }}
+                        onLongPress={kind === 'swipe' ? undefined : () => blockSuggestion(word)}
+                        style={styles.suggBtn}
+                    >
+                        <Text style={styles.suggBtnText}>{word}</Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+        );
+    };
+
     return (
         <View style={styles.container}>
             
             {/* TOP HEADER */}
             <View style={styles.header}>
+                {features.logging && (
+                    <TouchableOpacity
+                        onPress={logSync}
+                        style={[styles.modeButton, lastSyncAt && styles.modeButtonActive]}
+                    >
+                        <Text style={[styles.modeText, lastSyncAt && styles.modeTextActive]}>SYNC</Text>
+                    </TouchableOpacity>
+                )}
+                <TouchableOpacity
+                    onPress={typingTest ? stopTypingTest : startTypingTest}
+                    style={[styles.modeButton, typingTest && styles.modeButtonActive]}
+                >
+                    <Text style={[styles.modeText, typingTest && styles.modeTextActive]}>TEST</Text>
+                </TouchableOpacity>
                 <View style={styles.toggleContainer}>
                     <TouchableOpacity 
                         style={[styles.toggleBtn, handMode === 'LEFT' && styles.toggleBtnActive]}
@@ -416,6 +1454,9 @@ export default function App() {
                 </View>
             </View>
 
+            {typingTest && renderTypingTest()}
+            {calibration && renderCalibration()}
+
             <View style={styles.inputContainer}>
                 {renderTextWithCursor()}
                 <TouchableOpacity 
@@ -439,7 +1480,84 @@ export default function App() {
                 </TouchableOpacity>
 
                 {showSettings && (
-                    <View style={styles.settingsPanel}>
+                    <ScrollView
+                        style={styles.settingsPanel}
+                        contentContainerStyle={styles.settingsPanelContent}
+                        keyboardShouldPersistTaps="handled"
+                    >
+                        <ProfileManager profileState={profileState} onChange={setProfileState} />
+                        <LayoutPicker
+                            layouts={availableLayouts}
+                            activeId={activeLayout.id}
+                            onSelect={id => updateSettings({ layoutId: id })}
+                            onReload={reloadLayouts}
+                            onExport={handleExportLayout}
+                            status={layoutStatus}
+                        />
+                        <DecoderFilesInfo
+                            lexicon={lexicon}
+                            ranker={gestureRanker}
+                            loading={isLexiconLoading}
+                            onReload={reloadDecoderFiles}
+                        />
+                        <FeatureToggle label="Tap Typing" value={features.tap} onChange={v => setFeature('tap', v)} />
+                        <FeatureToggle label="Swipe Typing" value={features.swipe} onChange={v => setFeature('swipe', v)} />
+                        <FeatureToggle label="Autocorrect" value={features.autocorrect} onChange={v => setFeature('autocorrect', v)} />
+                        <ChoiceRow
+                            label="Swipe Matcher"
+                            options={SCORER_NAMES}
+                            value={scorer}
+                            onChange={value => updateSettings({ scorer: value })}
+                        />
+                        <BlockedWordsRow
+                            words={blockedWords}
+                            onClear={() => updateSettings({ blockedWords: [] })}
+                        />
+                        <KeyTargetsRow
+                            samples={countKeySamples(keyOffsets, offsetGroup)}
+                            onReset={() => updateSettings({ keyOffsets: {} })}
+                        />
+                        <FeatureToggle label="Selection Editing" value={features.selection} onChange={v => setFeature('selection', v)} />
+                        <FeatureToggle label="Session Logging" value={features.logging} onChange={v => setFeature('logging', v)} />
+                        {features.logging && (
+                            <View style={styles.profileSection}>
+                                <View style={styles.profileActions}>
+                                    <TouchableOpacity style={styles.profileActionBtn} onPress={handleExportSession}>
+                                        <Text style={styles.profileActionText}>Export Session for EMG</Text>
+                                    </TouchableOpacity>
+                                </View>
+                                <Text style={styles.layoutStatus}>
+                                    Sessions are written to {SESSIONS_DIR}
+                                    {exportStatus ? `\n${exportStatus}` : ''}
+                                </Text>
+                            </View>
+                        )}
+                        <ChoiceRow
+                            label="Reach Heatmap"
+                            options={HEATMAP_SOURCES}
+                            value={heatmapSource}
+                            onChange={setHeatmapSource}
+                        />
+                        {heatmapSource !== 'OFF' && (
+                            <View style={styles.profileSection}>
+                                <View style={styles.profileActions}>
+                                    <TouchableOpacity
+                                        style={styles.profileActionBtn}
+                                        onPress={() => setHeatmapVersion(v => v + 1)}
+                                    >
+                                        <Text style={styles.profileActionText}>Refresh Heatmap</Text>
+                                    </TouchableOpacity>
+                                </View>
+                                <Text style={styles.layoutStatus}>{heatmapStatus()}</Text>
+                            </View>
+                        )}
+                        <View style={styles.profileSection}>
+                            <View style={styles.profileActions}>
+                                <TouchableOpacity style={styles.profileActionBtn} onPress={startCalibration}>
+                                    <Text style={styles.profileActionText}>Calibrate Thumb Reach</Text>
+                                </TouchableOpacity>
+                            </View>
+                        </View>
                         <SettingRow 
                             label="Curvature (Radius)" 
                             value={customRadius} 
@@ -461,15 +1579,11 @@ export default function App() {
                         <TouchableOpacity style={styles.resetBtn} onPress={resetSettings}>
                             <Text style={styles.resetBtnText}>Reset to Default</Text>
                         </TouchableOpacity>
-                    </View>
+                    </ScrollView>
                 )}
             </View>
 
-            <View style={styles.suggestionRow}>
-                <Text style={{ color: '#999', fontSize: 12 }}>
-                    {layoutMode === 'NUMERIC' ? 'Numbers' : 'Alpha'} | {handMode} Hand
-                </Text>
-            </View>
+            {renderSuggestionRow()}
 
             {/* KEYBOARD OVERLAY */}
             <View style={styles.keyboardContainer}> 
@@ -483,18 +1597,14 @@ export default function App() {
                                 centerY={activeCenterY}
                             /> 
                         ))}
+                        {heatmap && <ReachHeatmap report={heatmap} keys={allKeys} centerY={activeCenterY} />}
+                        {renderTrail()}
+                        {calibration && renderCalibrationLayer()}
                     </G>
                 </Svg.Svg>
                 
-                <View style={styles.touchOverlay}>
-                    {allKeys.map((keyData) => (
-                        <ArcKey 
-                            key={'touch_' + keyData.keyChar + keyData.keyCenterAngle} 
-                            keyData={keyData} 
-                            onPress={handleKeyPress} 
-                            centerY={activeCenterY}
-                        /> 
-                    ))}
+                <View style={styles.touchOverlay} {...(calibration ? calibrationResponder : keyboardResponder).panHandlers}>
+                    {renderMagnifier()}
                 </View>
             </View>
         </View>
@@ -582,9 +1692,10 @@ const styles = StyleSheet.create({
         color: COLORS.ACCENT,
         fontWeight: '600',
     },
+    // Scrolls so the lower rows stay reachable on small phones
     settingsPanel: {
+        maxHeight: height * 0.6,
         backgroundColor: COLORS.WHITE,
-        padding: 15,
         borderRadius: 12,
         shadowColor: "#000",
         shadowOffset: { width: 0, height: 2 },
@@ -592,6 +1703,9 @@ const styles = StyleSheet.create({
         shadowRadius: 4,
         elevation: 5,
     },
+    settingsPanelContent: {
+        padding: 15,
+    },
     settingRow: {
         flexDirection: 'row',
         alignItems: 'center',
@@ -643,12 +1757,147 @@ const styles = StyleSheet.create({
         fontSize: 12,
         fontWeight: '600',
     },
+    profileSection: {
+        borderBottomWidth: 1,
+        borderColor: '#eee',
+        paddingBottom: 10,
+        marginBottom: 12,
+    },
+    profileList: {
+        flexGrow: 0,
+        marginBottom: 8,
+    },
+    profileChip: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        borderRadius: 14,
+        backgroundColor: COLORS.CONTROL_BG,
+        marginRight: 6,
+    },
+    profileChipActive: {
+        backgroundColor: COLORS.ACCENT,
+    },
+    profileChipText: {
+        fontSize: 12,
+        fontWeight: '600',
+        color: '#555',
+    },
+    profileChipTextActive: {
+        color: COLORS.WHITE,
+    },
+    profileNameInput: {
+        borderWidth: 1,
+        borderColor: '#ddd',
+        borderRadius: 8,
+        paddingHorizontal: 10,
+        paddingVertical: 6,
+        fontSize: 14,
+        color: '#333',
+        marginBottom: 8,
+    },
+    profileActions: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+    },
+    profileActionBtn: {
+        flex: 1,
+        padding: 8,
+        marginHorizontal: 2,
+        backgroundColor: '#f0f0f0',
+        borderRadius: 8,
+        alignItems: 'center',
+    },
+    profileActionDisabled: {
+        opacity: 0.4,
+    },
+    profileActionText: {
+        color: COLORS.ACCENT,
+        fontSize: 12,
+        fontWeight: '600',
+    },
+    layoutStatus: {
+        marginTop: 6,
+        fontSize: 11,
+        color: '#888',
+    },
     suggestionRow: {
         flexDirection: 'row',
         paddingVertical: 2,
-        justifyContent: 'center',
+        paddingHorizontal: 8,
         alignItems: 'center',
     },
+    suggestionRowLeft: {
+        justifyContent: 'flex-start',
+    },
+    suggestionRowRight: {
+        flexDirection: 'row-reverse',
+        justifyContent: 'flex-start',
+    },
+    suggBtn: {
+        backgroundColor: COLORS.KEY_PRIMARY,
+        paddingHorizontal: 12,
+        paddingVertical: 6,
+        borderRadius: 8,
+        marginHorizontal: 4,
+    },
+    suggBtnText: {
+        color: COLORS.WHITE,
+    },
+    testPanel: {
+        backgroundColor: '#fff',
+        borderBottomWidth: 1,
+        borderColor: '#eee',
+        paddingHorizontal: 15,
+        paddingVertical: 10,
+    },
+    testLabel: {
+        fontSize: 11,
+        color: '#888',
+    },
+    testPhrase: {
+        fontSize: 18,
+        color: '#333',
+        marginVertical: 6,
+    },
+    modeButton: {
+        paddingHorizontal: 15,
+        paddingVertical: 5,
+        borderRadius: 15,
+        borderWidth: 1,
+        borderColor: '#ccc',
+        marginRight: 8,
+    },
+    modeButtonActive: {
+        backgroundColor: COLORS.ACCENT,
+        borderColor: COLORS.ACCENT,
+    },
+    modeText: {
+        fontSize: 12,
+        color: '#666',
+        fontWeight: 'bold',
+    },
+    modeTextActive: {
+        color: '#fff',
+    },
+    magnifier: {
+        position: 'absolute',
+        width: 56,
+        height: 56,
+        borderRadius: 28,
+        backgroundColor: COLORS.ACCENT,
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 50,
+        shadowColor: '#000',
+        shadowOpacity: 0.2,
+        shadowRadius: 8,
+        elevation: 6,
+    },
+    magnifierText: {
+        color: COLORS.WHITE,
+        fontWeight: '800',
+        fontSize: 18,
+    },
     keyboardContainer: {
         position: 'absolute',
         bottom: 0,
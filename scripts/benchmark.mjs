@@ -0,0 +1,195 @@
+/* =========================
+   DECODER ACCURACY BENCHMARK
+   =========================
+   Replays strokes through the same release-time decision the app makes
+   (decodeTrace) and reports, per configuration:
+
+   - top1 / top3:      share of strokes whose word is first / in the top three
+   - commitRate:       share auto-committed as a word (accepted)
+   - commitPrecision:  share of those commits that were the right word
+   - fallbackRate:     share that fell back to inserting the raw letters
+   - latency:          decodeTrace time per stroke (mean, p50, p95 in ms)
+
+   node scripts/benchmark.mjs [--strokes swipes.jsonl[,more.jsonl]] [--synthetic 1000]
+       [--seed 1] [--config configs.json] [--model gesture-model.json]
+       [--json results.json] [--csv results.csv] [--details strokes.csv]
+
+   Strokes are decoded as the first word of a sentence with the app's
+   language model (no n-grams loaded), as the app decodes them.
+
+   Strokes use the logged-stroke format (see train-gesture-model.mjs);
+   without --strokes, --synthetic swipes of frequent words are generated
+   for both hands. --config is a JSON array of configurations:
+
+   [{ "name": "baseline" },
+    { "name": "dtw-strict", "scorer": "DTW", "MIN_ACCEPT_SCORE": 0.7,
+      "SCORE_WEIGHTS": { "geo": 0.6, "sub": 0.25, "freq": 0.15 } }]
+
+   Every key other than name/scorer overrides GESTURE_CONFIG for that run
+   (PAUSE_THRESHOLD_MS applies while the stroke is replayed). Without
+   --config, GESTURE_CONFIG keys given as flags form a single configuration,
+   e.g. --scorer DTW --MIN_MARGIN 0.1.
+*/
+
+import fs from 'fs';
+import { GESTURE_CONFIG, SCORER_NAMES, createTemplateStore, decodeTrace } from '../src/gestureDecoder.js';
+import { synthesizeGesture } from '../src/gestureSynth.js';
+import { createLanguageModel, SENTENCE_START } from '../src/languageModel.js';
+import {
+    loadBundledLexicon, loadBundledLayouts, buildAlphaKeys, replayStroke, createRng, readJsonLines, parseArgs, percentile,
+} from './common.mjs';
+
+const SYNTHETIC_VOCABULARY = 3000;
+
+const args = parseArgs(process.argv.slice(2));
+const lexicon = loadBundledLexicon();
+const languageModel = createLanguageModel(lexicon);
+const context = [SENTENCE_START];
+const layouts = loadBundledLayouts();
+const templateStore = createTemplateStore(16);
+
+const geometryCache = new Map();
+const getGeometry = (geometry = {}) => {
+    const signature = JSON.stringify(geometry);
+    if (!geometryCache.has(signature)) {
+        const layout = layouts[geometry.layoutId] || layouts.standard;
+        const { keys, keyCenters } = buildAlphaKeys({ ...geometry, layout });
+        geometryCache.set(signature, { keys, keyCenters, templates: templateStore.get(keyCenters) });
+    }
+    return geometryCache.get(signature);
+};
+
+const loadStrokes = () => {
+    if (typeof args.strokes === 'string') {
+        return args.strokes.split(',').flatMap(path => readJsonLines(path))
+            .filter(r => typeof r.word === 'string' && Array.isArray(r.points) && r.points.length > 0)
+            .map(r => ({ word: r.word.toLowerCase(), points: r.points, geometry: r.geometry || {} }));
+    }
+    const rng = createRng(Number(args.seed) || 1);
+    const vocabulary = lexicon.words.slice(0, SYNTHETIC_VOCABULARY).filter(w => w.length > 1);
+    const count = Number(args.synthetic) || 1000;
+    const strokes = [];
+    for (let n = 0; n < count; n++) {
+        const geometry = { handMode: n % 2 ? 'RIGHT' : 'LEFT' };
+        const word = vocabulary[Math.floor(vocabulary.length * rng() * rng())];
+        const { keyCenters, templates } = getGeometry(geometry);
+        strokes.push({ word, points: synthesizeGesture(word, keyCenters, templates.keySize, rng), geometry });
+    }
+    return strokes;
+};
+
+const loadConfigs = () => {
+    if (typeof args.config === 'string') return JSON.parse(fs.readFileSync(args.config, 'utf8'));
+    const config = { name: 'default' };
+    if (typeof args.scorer === 'string') config.scorer = args.scorer;
+    Object.keys(GESTURE_CONFIG).forEach(key => {
+        if (args[key] !== undefined && isFinite(Number(args[key]))) config[key] = Number(args[key]);
+    });
+    return [config];
+};
+
+// Loads the ranker only when a configuration asks for NEURAL
+const loadRanker = async (configs) => {
+    if (!configs.some(c => c.scorer === 'NEURAL')) return null;
+    if (typeof args.model !== 'string') {
+        console.warn('NEURAL configuration without --model; it will score like MSE');
+        return null;
+    }
+    const tf = await import('@tensorflow/tfjs');
+    const { deserializeRankerModel, createModelRanker } = await import('../src/gestureModel.js');
+    await tf.setBackend('cpu');
+    const model = await deserializeRankerModel(tf, JSON.parse(fs.readFileSync(args.model, 'utf8')));
+    return createModelRanker(tf, model);
+};
+
+const runConfig = (config, strokes, ranker) => {
+    const { name, scorer = 'MSE', ...overrides } = config;
+    if (!SCORER_NAMES.includes(scorer)) throw new Error(`${name}: unknown scorer ${scorer}`);
+    const unknown = Object.keys(overrides).filter(key => !(key in GESTURE_CONFIG));
+    if (unknown.length > 0) throw new Error(`${name}: unknown GESTURE_CONFIG keys ${unknown.join(', ')}`);
+
+    const saved = { ...GESTURE_CONFIG };
+    Object.assign(GESTURE_CONFIG, overrides);
+    const details = [];
+    try {
+        strokes.forEach((stroke, index) => {
+            const { keys, templates } = getGeometry(stroke.geometry);
+            const trace = replayStroke(stroke.points, keys);
+            const start = performance.now();
+            const result = decodeTrace({ lexicon, templates, scorer, ranker, languageModel, context }, trace);
+            const ms = performance.now() - start;
+
+            const ranked = result ? result.candidates.map(c => c.w) : [];
+            details.push({
+                config: name,
+                index,
+                word: stroke.word,
+                top: ranked[0] || '',
+                rank: ranked.indexOf(stroke.word) + 1,
+                action: !result ? 'none' : result.action === 'letters' ? 'letters' : result.accepted ? 'commit' : 'suggest',
+                inserted: !result ? '' : result.action === 'letters' ? result.letters : result.word,
+                ms,
+            });
+        });
+    } finally {
+        Object.assign(GESTURE_CONFIG, saved);
+    }
+
+    const n = details.length || 1;
+    const commits = details.filter(d => d.action === 'commit');
+    const times = details.map(d => d.ms);
+    return {
+        summary: {
+            config: name,
+            scorer,
+            strokes: details.length,
+            top1: details.filter(d => d.rank === 1).length / n,
+            top3: details.filter(d => d.rank >= 1 && d.rank <= 3).length / n,
+            commitRate: commits.length / n,
+            commitPrecision: commits.length ? commits.filter(d => d.inserted === d.word).length / commits.length : 0,
+            fallbackRate: details.filter(d => d.action === 'letters').length / n,
+            latencyMeanMs: times.reduce((a, b) => a + b, 0) / n,
+            latencyP50Ms: percentile(times, 50),
+            latencyP95Ms: percentile(times, 95),
+            overrides,
+        },
+        details,
+    };
+};
+
+const toCsv = (rows, columns) => [
+    columns.join(','),
+    ...rows.map(row => columns.map(c => {
+        const v = row[c];
+        const text = typeof v === 'number' ? String(+v.toFixed(4)) : String(v ?? '');
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')),
+].join('\n') + '\n';
+
+const SUMMARY_COLUMNS = [
+    'config', 'scorer', 'strokes', 'top1', 'top3', 'commitRate', 'commitPrecision', 'fallbackRate',
+    'latencyMeanMs', 'latencyP50Ms', 'latencyP95Ms',
+];
+const DETAIL_COLUMNS = ['config', 'index', 'word', 'top', 'rank', 'action', 'inserted', 'ms'];
+
+const main = async () => {
+    const strokes = loadStrokes();
+    const configs = loadConfigs();
+    const ranker = await loadRanker(configs);
+    console.log(`${strokes.length} strokes, ${configs.length} configuration(s), ${lexicon.size} words`);
+
+    const results = configs.map(config => runConfig(config, strokes, ranker));
+    const summaries = results.map(r => r.summary);
+
+    const pct = (v) => `${(v * 100).toFixed(1)}%`.padStart(7);
+    console.log('config               top1    top3  commit  precis  fallbk   p95 ms');
+    summaries.forEach(s => {
+        console.log(`${s.config.slice(0, 18).padEnd(18)} ${pct(s.top1)} ${pct(s.top3)} ${pct(s.commitRate)} ${pct(s.commitPrecision)} ${pct(s.fallbackRate)} ${s.latencyP95Ms.toFixed(2).padStart(8)}`);
+    });
+
+    if (typeof args.json === 'string') fs.writeFileSync(args.json, JSON.stringify(summaries, null, 2) + '\n');
+    if (typeof args.csv === 'string') fs.writeFileSync(args.csv, toCsv(summaries, SUMMARY_COLUMNS));
+    if (typeof args.details === 'string') fs.writeFileSync(args.details, toCsv(results.flatMap(r => r.details), DETAIL_COLUMNS));
+};
+
+main();
@@ -0,0 +1,46 @@
+/* =========================
+   N-GRAM FILE BUILDER
+   =========================
+   Counts bigrams and trigrams in plain-text corpora and writes them in the
+   format the app reads from <documents>/ngrams.txt (see src/languageModel.js).
+   Text is tokenized exactly as the app tokenizes what the user types.
+
+   node scripts/build-ngrams.mjs --in corpus.txt[,more.txt] [--min-count 2]
+       [--max-entries 200000] [--out ngrams.txt]
+*/
+
+import fs from 'fs';
+import { tokenizeBefore, SENTENCE_START } from '../src/languageModel.js';
+import { parseArgs } from './common.mjs';
+
+const args = parseArgs(process.argv.slice(2));
+if (typeof args.in !== 'string') {
+    console.error('Usage: node scripts/build-ngrams.mjs --in corpus.txt [--min-count 2] [--max-entries 200000] [--out ngrams.txt]');
+    process.exit(1);
+}
+const minCount = Number(args['min-count']) || 2;
+const maxEntries = Number(args['max-entries']) || 200000;
+
+const counts = new Map();
+const add = (key) => counts.set(key, (counts.get(key) || 0) + 1);
+
+args.in.split(',').forEach(path => {
+    // Paragraphs are tokenized separately so no n-gram spans two of them
+    fs.readFileSync(path, 'utf8').split(/\n\s*\n/).forEach(paragraph => {
+        const tokens = tokenizeBefore(paragraph + ' ');
+        for (let i = 1; i < tokens.length; i++) {
+            if (tokens[i] === SENTENCE_START) continue;
+            add(`${tokens[i - 1]} ${tokens[i]}`);
+            if (i >= 2 && tokens[i - 1] !== SENTENCE_START) add(`${tokens[i - 2]} ${tokens[i - 1]} ${tokens[i]}`);
+        }
+    });
+});
+
+const entries = [...counts.entries()]
+    .filter(([, c]) => c >= minCount)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, maxEntries);
+
+const out = args.out || 'ngrams.txt';
+fs.writeFileSync(out, entries.map(([key, c]) => `${key} ${c}`).join('\n') + '\n');
+console.log(`Wrote ${entries.length} n-grams to ${out}; copy it to the app's documents directory as ngrams.txt`);
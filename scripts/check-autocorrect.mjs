@@ -0,0 +1,64 @@
+/* =========================
+   AUTOCORRECT CHECK
+   =========================
+   Runs correctWord over the bundled lexicon and a list of common typos on
+   the letter layout, for both hands, with the unigram language model the
+   app starts with:
+
+   - the most frequent words must pass through unchanged
+   - each typo must become its intended word (or stay, where null)
+
+   node scripts/check-autocorrect.mjs [--words 3000]
+
+   Prints every failure and exits with status 1 when there are any.
+*/
+
+import { buildConfusionModel, correctWord } from '../src/autocorrect.js';
+import { createLanguageModel, SENTENCE_START } from '../src/languageModel.js';
+import { loadBundledLexicon, buildAlphaKeys, parseArgs } from './common.mjs';
+
+// typed -> intended; null means the typed word must be left alone
+const TYPOS = {
+    helo: 'hello',
+    teh: 'the',
+    tje: 'the',
+    adn: 'and',
+    jsut: 'just',
+    thsi: 'this',
+    knwo: 'know',
+    goid: 'good',
+    goood: 'good',
+    wrold: 'world',
+    becuase: 'because',
+    keybaord: 'keyboard',
+    writting: 'writing',
+    thier: 'their',
+    freind: 'friend',
+    wierd: 'weird',
+    recieve: 'receive',
+    lol: null,
+    brb: null,
+};
+
+const args = parseArgs(process.argv.slice(2));
+const wordCount = Number(args.words || 3000);
+const lexicon = loadBundledLexicon();
+const languageModel = createLanguageModel(lexicon);
+const context = [SENTENCE_START];
+const failures = [];
+
+['LEFT', 'RIGHT'].forEach(handMode => {
+    const confusion = buildConfusionModel(buildAlphaKeys({ handMode }).keys);
+    lexicon.words.slice(0, wordCount).forEach(word => {
+        const corrected = correctWord(confusion, languageModel, context, word);
+        if (corrected) failures.push(`${handMode}: valid word ${word} -> ${corrected}`);
+    });
+    Object.entries(TYPOS).forEach(([typed, intended]) => {
+        const corrected = correctWord(confusion, languageModel, context, typed);
+        if (corrected !== intended) failures.push(`${handMode}: ${typed} -> ${corrected}, expected ${intended}`);
+    });
+});
+
+failures.forEach(f => console.log(f));
+console.log(`${wordCount} words and ${Object.keys(TYPOS).length} typos checked per hand, ${failures.length} failures`);
+process.exitCode = failures.length === 0 ? 0 : 1;
@@ -0,0 +1,61 @@
+/* =========================
+   GEOMETRY CHECK
+   =========================
+   Builds every bundled layout in every mode for both hands, at a few
+   screen sizes and radii, and checks that each key's center hit-tests back
+   to that same key.
+
+   node scripts/check-geometry.mjs
+
+   Prints each key that resolves elsewhere and exits with status 1 when
+   there are any.
+*/
+
+import { buildKeyboardLayout, getKeyCenter } from '../src/geometry.js';
+import { findKeyAt } from '../src/hitTest.js';
+import { getModeLayout } from '../src/layoutSchema.js';
+import { loadBundledLayouts } from './common.mjs';
+
+// Portrait phone sizes (px) and radius factors of the screen width
+const SCREENS = [[360, 740], [400, 800], [430, 932]];
+const RADIUS_FACTORS = [1.0, 1.25, 1.5];
+const HANDS = ['LEFT', 'RIGHT'];
+const BOTTOM_INSET = 20;
+
+const failures = [];
+let checked = 0;
+
+Object.values(loadBundledLayouts()).forEach(layout => {
+    Object.keys(layout.modes).forEach(mode => {
+        HANDS.forEach(handMode => {
+            SCREENS.forEach(([screenWidth, screenHeight]) => {
+                RADIUS_FACTORS.forEach(factor => {
+                    const { keys } = buildKeyboardLayout({
+                        layout: getModeLayout(layout, mode),
+                        screenWidth,
+                        screenHeight,
+                        handMode,
+                        radius: screenWidth * factor,
+                        offsetY: 40,
+                        bottomInset: BOTTOM_INSET,
+                        radiusStep: layout.radiusStep,
+                        handInsetRatio: layout.handInsetRatio,
+                    });
+                    keys.forEach(keyData => {
+                        const { x, y } = getKeyCenter(keyData);
+                        const hit = findKeyAt(x, y, keys);
+                        checked++;
+                        if (hit !== keyData) {
+                            failures.push(`${layout.id} ${mode} ${handMode} ${screenWidth}x${screenHeight} r=${factor}w: `
+                                + `${keyData.keyChar} center hits ${hit ? hit.keyChar : 'nothing'}`);
+                        }
+                    });
+                });
+            });
+        });
+    });
+});
+
+failures.forEach(f => console.log(f));
+console.log(`${checked} key centers checked, ${failures.length} resolved to another key`);
+process.exitCode = failures.length === 0 ? 0 : 1;
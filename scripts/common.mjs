@@ -0,0 +1,149 @@
+/* =========================
+   NODE SCRIPT HELPERS
+   =========================
+   Shared setup for the offline tools in scripts/: the bundled lexicon and
+   the letter layout at a given screen size, built with the same modules
+   the app uses.
+*/
+
+import fs from 'fs';
+import { createRequire } from 'module';
+import { createLexicon } from '../src/lexicon.js';
+import { buildKeyboardLayout } from '../src/geometry.js';
+import { getModeLayout, parseLayout } from '../src/layoutSchema.js';
+import { STANDARD_LAYOUT } from '../src/layouts.js';
+import { findKeyAt } from '../src/hitTest.js';
+import { getKeyCenters, createTrace, extendTrace } from '../src/gestureDecoder.js';
+
+const require = createRequire(import.meta.url);
+const LAYOUTS_DIR = new URL('../layouts/', import.meta.url);
+
+// Layouts shipped with the app, by id.
+export const loadBundledLayouts = () => {
+    const layouts = { [STANDARD_LAYOUT.id]: STANDARD_LAYOUT };
+    fs.readdirSync(LAYOUTS_DIR).filter(f => f.endsWith('.json')).forEach(f => {
+        const layout = parseLayout(fs.readFileSync(new URL(f, LAYOUTS_DIR), 'utf8'));
+        layouts[layout.id] = layout;
+    });
+    return layouts;
+};
+
+export const loadBundledLexicon = (options) => createLexicon(require('subtlex-word-frequencies'), { source: 'bundled', ...options });
+
+// Defaults match a typical phone in portrait and the app's DEFAULTS.
+export const buildAlphaKeys = ({
+    layout = STANDARD_LAYOUT,
+    screenWidth = 400,
+    screenHeight = 800,
+    handMode = 'LEFT',
+    radius,
+    offsetX = 0,
+    offsetY = 40,
+    bottomInset = 20,
+} = {}) => {
+    const { keys } = buildKeyboardLayout({
+        layout: getModeLayout(layout, 'ALPHA'),
+        screenWidth,
+        screenHeight,
+        handMode,
+        radius,
+        offsetX,
+        offsetY,
+        bottomInset,
+        radiusStep: layout.radiusStep,
+        handInsetRatio: layout.handInsetRatio,
+    });
+    return { keys, keyCenters: getKeyCenters(keys) };
+};
+
+// Replays raw { x, y, t } samples through hit testing into a decoder trace,
+// the way the app's responder builds one.
+export const replayStroke = (points, keys) => {
+    const trace = createTrace();
+    points.forEach(p => {
+        const key = findKeyAt(p.x, p.y, keys);
+        extendTrace(trace, p.x, p.y, p.t, key && key.keyChar);
+    });
+    return trace;
+};
+
+// Small seeded PRNG (mulberry32) so generated data is reproducible.
+export const createRng = (seed = 1) => {
+    let a = seed >>> 0;
+    const next = () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    // Standard normal via Box-Muller
+    next.gauss = () => Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next());
+    return next;
+};
+
+// Reads a JSON-lines file, skipping blank lines.
+export const readJsonLines = (path) => fs.readFileSync(path, 'utf8')
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+
+// Parses `--name value` and `--flag` arguments into an object.
+export const parseArgs = (argv) => {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const name = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith('--')) args[name] = true;
+        else { args[name] = next; i++; }
+    }
+    return args;
+};
+
+export const percentile = (values, p) => {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+};
+
+// Splits one CSV line, honouring double-quoted fields.
+const splitCsvLine = (line) => {
+    if (!line.includes('"')) return line.split(',');
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted && ch === '"' && line[i + 1] === '"') {
+            field += '"';
+            i++;
+        } else if (ch === '"') {
+            quoted = !quoted;
+        } else if (ch === ',' && !quoted) {
+            fields.push(field);
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    fields.push(field);
+    return fields;
+};
+
+/**
+ * Reads a CSV file with a header row into { columns, rows } (rows are
+ * arrays of strings). Quoted fields may span lines.
+ */
+export const readCsv = (path) => {
+    const lines = fs.readFileSync(path, 'utf8').split(/\r?\n/);
+    const records = [];
+    for (let i = 0; i < lines.length; i++) {
+        let line = lines[i];
+        // An odd number of quotes means a quoted field continues on the next line
+        while ((line.match(/"/g) || []).length % 2 === 1 && i + 1 < lines.length) line += '\n' + lines[++i];
+        if (line.trim()) records.push(splitCsvLine(line));
+    }
+    const [columns = [], ...rows] = records;
+    return { columns: columns.map(c => c.trim()), rows };
+};
@@ -0,0 +1,114 @@
+/* =========================
+   DECODER LATENCY CHECK
+   =========================
+   Swipes the most frequent words through their key centers and times
+   livePredict and decodeTrace against the targets in GESTURE_CONFIG.
+
+   node scripts/decoder-latency.mjs [--words 500] [--hand LEFT|RIGHT] [--scorer MSE|DTW|NEURAL]
+       [--model gesture-model.json]
+
+   NEURAL needs --model and runs tfjs on the CPU backend, as the app does.
+
+   Also reports how many candidates each release matched: MSE and DTW both
+   match every retrieved candidate (up to MAX_SCORED_CANDIDATES), so the
+   DTW figure is its real per-swipe cost. Live guesses always use MSE, so
+   DTW and NEURAL only add to the decode time.
+
+   Exits with status 1 when the p95 latency misses a target. Phones are
+   several times slower than a desktop, so treat a pass here as necessary,
+   not sufficient.
+*/
+
+import fs from 'fs';
+import { findKeyAt } from '../src/hitTest.js';
+import {
+    GESTURE_CONFIG, SCORER_NAMES, createTemplateStore, createTrace, extendTrace, livePredict, decodeTrace,
+    heuristicCandidates, prepareStroke, traceLetters,
+} from '../src/gestureDecoder.js';
+import { loadBundledLexicon, buildAlphaKeys, parseArgs, percentile } from './common.mjs';
+
+const SAMPLES_PER_SEGMENT = 6;
+const SAMPLE_INTERVAL_MS = 16;
+
+// Straight segments between the key centers, sampled like a moving finger.
+const traceWord = (word, keys, keyCenters) => {
+    const trace = createTrace();
+    let t = 0;
+    const points = word.split('').map(ch => keyCenters[ch]);
+    points.forEach((p, i) => {
+        const next = points[i + 1] || p;
+        const steps = i === points.length - 1 ? 1 : SAMPLES_PER_SEGMENT;
+        for (let s = 0; s < steps; s++) {
+            const x = p.x + (next.x - p.x) * (s / steps);
+            const y = p.y + (next.y - p.y) * (s / steps);
+            const key = findKeyAt(x, y, keys);
+            extendTrace(trace, x, y, t += SAMPLE_INTERVAL_MS, key && key.keyChar);
+        }
+    });
+    return trace;
+};
+
+const args = parseArgs(process.argv.slice(2));
+const wordCount = Number(args.words) || 500;
+const lexicon = loadBundledLexicon();
+const { keys, keyCenters } = buildAlphaKeys({ handMode: args.hand === 'RIGHT' ? 'RIGHT' : 'LEFT' });
+const scorer = SCORER_NAMES.includes(args.scorer) ? args.scorer : 'MSE';
+
+// Loaded and warmed up like gestureModelStore.js does in the app
+const loadRanker = async () => {
+    if (scorer !== 'NEURAL') return null;
+    if (typeof args.model !== 'string') {
+        console.warn('NEURAL without --model; it will score like MSE');
+        return null;
+    }
+    const tf = await import('@tensorflow/tfjs');
+    const { deserializeRankerModel, createModelRanker } = await import('../src/gestureModel.js');
+    const { FEATURE_SIZE } = await import('../src/gestureFeatures.js');
+    await tf.setBackend('cpu');
+    const model = await deserializeRankerModel(tf, JSON.parse(fs.readFileSync(args.model, 'utf8')));
+    tf.tidy(() => model.predict(tf.zeros([1, FEATURE_SIZE])).dataSync());
+    return createModelRanker(tf, model);
+};
+
+const decoder = { lexicon, templates: createTemplateStore().get(keyCenters), scorer, ranker: await loadRanker() };
+
+const words = lexicon.words.slice(0, wordCount).filter(w => w.length > 1);
+const live = [];
+const final = [];
+const matched = [];
+let correct = 0;
+for (const word of words) {
+    const trace = traceWord(word, keys, keyCenters);
+    let start = performance.now();
+    livePredict(decoder, trace);
+    live.push(performance.now() - start);
+
+    start = performance.now();
+    const result = decodeTrace(decoder, trace);
+    final.push(performance.now() - start);
+    if (result && result.word === word) correct++;
+
+    const { letters, forced } = traceLetters(trace);
+    matched.push(heuristicCandidates(decoder, letters, prepareStroke(trace.points), forced).length);
+}
+
+const report = [
+    ['live', live, GESTURE_CONFIG.LIVE_LATENCY_TARGET_MS],
+    ['decode', final, GESTURE_CONFIG.DECODE_LATENCY_TARGET_MS],
+].map(([name, times, target]) => ({
+    name,
+    p50: percentile(times, 50),
+    p95: percentile(times, 95),
+    target,
+}));
+
+const meanMatched = matched.reduce((a, b) => a + b, 0) / (matched.length || 1);
+const meanDecode = final.reduce((a, b) => a + b, 0) / (final.length || 1);
+console.log(`${words.length} swipes over ${lexicon.size} words (${scorer}), ${correct} decoded exactly`);
+console.log(`${meanMatched.toFixed(0)} candidates matched per release on average (max ${Math.max(0, ...matched)}), `
+    + `${(1000 * meanDecode / (meanMatched || 1)).toFixed(1)} µs per candidate`);
+report.forEach(r => {
+    const verdict = r.p95 <= r.target ? 'ok' : 'MISSED';
+    console.log(`${r.name.padEnd(7)} p50 ${r.p50.toFixed(2)} ms  p95 ${r.p95.toFixed(2)} ms  target ${r.target} ms  ${verdict}`);
+});
+process.exitCode = report.every(r => r.p95 <= r.target) ? 0 : 1;
@@ -0,0 +1,158 @@
+/* =========================
+   EMG SIGNAL FEATURES
+   =========================
+   Time- and frequency-domain features of surface EMG used by
+   emg-report.mjs:
+
+   - RMS:  root mean square amplitude (after removing the window's mean)
+   - MNF:  mean frequency of the power spectrum, sum(f * P) / sum(P), with
+           P estimated by Welch's method (Hann-windowed segments of
+           WELCH_SEGMENT samples, 50% overlap)
+
+   A channel is { name, time: Float64Array (s), value: Float64Array,
+   sampleRate }.
+*/
+
+export const WELCH_SEGMENT = 256;
+export const MIN_WINDOW_SAMPLES = 16;
+
+// Sample rate from the median spacing of the time column.
+export const estimateSampleRate = (time) => {
+    const steps = [];
+    const stride = Math.max(1, Math.floor(time.length / 2000));
+    for (let i = stride; i < time.length; i += stride) steps.push((time[i] - time[i - stride]) / stride);
+    steps.sort((a, b) => a - b);
+    const median = steps[Math.floor(steps.length / 2)];
+    return median > 0 ? 1 / median : 0;
+};
+
+// First index with time >= t (time is ascending).
+export const lowerBound = (time, t) => {
+    let lo = 0;
+    let hi = time.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (time[mid] < t) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+};
+
+// Sample index range [from, to) of a channel between two times.
+export const sampleRange = (channel, start, end) => ({
+    from: lowerBound(channel.time, start),
+    to: lowerBound(channel.time, end),
+});
+
+export const rms = (values) => {
+    if (values.length === 0) return NaN;
+    let mean = 0;
+    for (let i = 0; i < values.length; i++) mean += values[i];
+    mean /= values.length;
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) sum += (values[i] - mean) ** 2;
+    return Math.sqrt(sum / values.length);
+};
+
+// In-place iterative radix-2 FFT; re/im lengths must be a power of two.
+const fft = (re, im) => {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const step = -2 * Math.PI / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const cos = Math.cos(step * k);
+                const sin = Math.sin(step * k);
+                const a = start + k;
+                const b = a + size / 2;
+                const tr = re[b] * cos - im[b] * sin;
+                const ti = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+};
+
+const nextPow2 = (n) => 2 ** Math.ceil(Math.log2(Math.max(2, n)));
+
+/**
+ * Welch power spectrum of `values`: Float64Array of the one-sided power
+ * at bins k * sampleRate / size, k = 0..size/2. Windows shorter than a
+ * segment are zero-padded into a single one.
+ */
+export const welchSpectrum = (values, segment = WELCH_SEGMENT) => {
+    const length = Math.min(segment, values.length);
+    const size = nextPow2(length);
+    const hop = Math.max(1, Math.floor(length / 2));
+    const power = new Float64Array(size / 2 + 1);
+    const hann = Float64Array.from({ length }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / Math.max(1, length - 1)));
+
+    let segments = 0;
+    for (let start = 0; start + length <= values.length; start += hop) {
+        let mean = 0;
+        for (let i = 0; i < length; i++) mean += values[start + i];
+        mean /= length;
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+        for (let i = 0; i < length; i++) re[i] = (values[start + i] - mean) * hann[i];
+        fft(re, im);
+        for (let k = 0; k < power.length; k++) power[k] += re[k] * re[k] + im[k] * im[k];
+        segments++;
+    }
+    return { power, size, segments };
+};
+
+export const meanFrequency = (values, sampleRate, segment = WELCH_SEGMENT) => {
+    if (values.length < MIN_WINDOW_SAMPLES || !(sampleRate > 0)) return NaN;
+    const { power, size } = welchSpectrum(values, segment);
+    let weighted = 0;
+    let total = 0;
+    // Skip the DC bin
+    for (let k = 1; k < power.length; k++) {
+        weighted += (k * sampleRate / size) * power[k];
+        total += power[k];
+    }
+    return total > 0 ? weighted / total : NaN;
+};
+
+/**
+ * Features of one channel between `start` and `end` (s) and in the
+ * keystroke windows ([from, to] pairs, s) inside it: RMS over all samples
+ * covered by at least one window, MNF averaged over the individual windows.
+ */
+export const windowFeatures = (channel, start, end, keystrokeWindows) => {
+    const { from, to } = sampleRange(channel, start, end);
+    const whole = channel.value.subarray(from, to);
+
+    // Windows are clipped to [start, end]
+    const covered = new Uint8Array(whole.length);
+    const frequencies = [];
+    keystrokeWindows.forEach(([a, b]) => {
+        const range = sampleRange(channel, Math.max(a, start), Math.min(b, end));
+        if (range.to <= range.from) return;
+        covered.fill(1, range.from - from, range.to - from);
+        const mnf = meanFrequency(channel.value.subarray(range.from, range.to), channel.sampleRate);
+        if (isFinite(mnf)) frequencies.push(mnf);
+    });
+    const keySamples = whole.filter((_, i) => covered[i]);
+
+    return {
+        samples: whole.length,
+        rms: rms(whole),
+        mnf: meanFrequency(whole, channel.sampleRate),
+        keyRms: rms(keySamples),
+        keyMnf: frequencies.length ? frequencies.reduce((s, f) => s + f, 0) / frequencies.length : NaN,
+    };
+};
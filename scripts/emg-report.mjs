@@ -0,0 +1,240 @@
+/* =========================
+   EMG / TYPING REPORT
+   =========================
+   Lines EMG recordings up with exported typing sessions (the app's
+   "Export Session for EMG", see src/sessionExport.js) and writes a
+   self-contained HTML report: the EMG traces with trials and keystrokes
+   marked, per-trial RMS and mean frequency for every channel, and a table
+   of the numbers. No network access is needed to open it.
+
+   node scripts/emg-report.mjs --emg data.csv [--session s.export.csv[,more.csv]]
+       [--channels 21,22,31,32] [--time-column "X[s]_{ch}"] [--emg-column "EMG{ch}"]
+       [--sync-offset 0] [--pre-ms 100] [--post-ms 200]
+       [--tests typing-tests/<id>.json[,more.json]]
+       [--out emg-report.html] [--csv features.csv]
+
+   EMG CSV: one time and one value column per channel. Without --channels
+   every EMG<ch> / EMG_<ch> column is used; the time column of a channel is
+   the first of X[s]_<ch>, X_s_<ch>, X<ch>, Time<ch> present, unless
+   --time-column / --emg-column give a pattern ({ch} is the channel).
+
+   --sync-offset is the EMG time (s) at which SYNC was tapped in the app;
+   session times are shifted by it. Each keystroke (key or swipe) opens a
+   window from --pre-ms before to --post-ms after it. Per trial and
+   channel the report gives RMS and mean frequency over the whole trial and
+   over its keystroke windows (see emg-features.mjs). Sessions without
+   typing-test trials are treated as one trial from the first to the last
+   keystroke. --tests adds WPM and error rates from the app's typing-test
+   files to the matching trials. --csv writes one row per trial and channel.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { readCsv, parseArgs } from './common.mjs';
+import { estimateSampleRate, windowFeatures } from './emg-features.mjs';
+import { csvRow } from '../src/sessionLog.js';
+
+const TIME_PATTERNS = ['X[s]_{ch}', 'X_s_{ch}', 'X{ch}', 'Time{ch}'];
+const EMG_PATTERNS = ['EMG{ch}', 'EMG_{ch}'];
+const PLOT_BUCKETS = 20000;
+
+const args = parseArgs(process.argv.slice(2));
+if (typeof args.emg !== 'string') {
+    console.error('Usage: node scripts/emg-report.mjs --emg data.csv [--session s.export.csv] [--channels 21,22] [--out emg-report.html]');
+    process.exit(1);
+}
+const syncOffset = Number(args['sync-offset']) || 0;
+const preS = (args['pre-ms'] !== undefined ? Number(args['pre-ms']) : 100) / 1000;
+const postS = (args['post-ms'] !== undefined ? Number(args['post-ms']) : 200) / 1000;
+const list = (value) => (typeof value === 'string' ? value.split(',').map(v => v.trim()).filter(Boolean) : []);
+
+/* =========================
+   Input
+   ========================= */
+
+const loadChannels = (file) => {
+    const { columns, rows } = readCsv(file);
+    const ids = list(args.channels).length
+        ? list(args.channels)
+        : columns.map(c => (c.match(/^EMG_?(.+)$/) || [])[1]).filter(Boolean);
+    const timePatterns = typeof args['time-column'] === 'string' ? [args['time-column']] : TIME_PATTERNS;
+    const emgPatterns = typeof args['emg-column'] === 'string' ? [args['emg-column']] : EMG_PATTERNS;
+    const findColumn = (patterns, id) => {
+        const names = patterns.map(p => p.replace('{ch}', id));
+        const index = columns.findIndex(c => names.includes(c));
+        if (index === -1) {
+            throw new Error(`${file}: none of ${names.join(', ')} found; columns are ${columns.slice(0, 20).join(', ')}`);
+        }
+        return index;
+    };
+
+    return ids.map(id => {
+        const timeIndex = findColumn(timePatterns, id);
+        const emgIndex = findColumn(emgPatterns, id);
+        const time = [];
+        const value = [];
+        rows.forEach(row => {
+            const t = parseFloat(row[timeIndex]);
+            const v = parseFloat(row[emgIndex]);
+            if (isFinite(t) && isFinite(v)) { time.push(t); value.push(v); }
+        });
+        const channel = { name: columns[emgIndex], time: Float64Array.from(time), value: Float64Array.from(value) };
+        channel.sampleRate = estimateSampleRate(channel.time);
+        return channel;
+    });
+};
+
+// Trials of one exported session, on the EMG clock.
+const loadTrials = (file) => {
+    const { columns, rows } = readCsv(file);
+    const events = rows
+        .map(row => Object.fromEntries(columns.map((c, i) => [c, row[i]])))
+        .map(e => ({ ...e, time: Number(e.time_s) + syncOffset }))
+        .filter(e => isFinite(e.time))
+        .sort((a, b) => a.time - b.time);
+    const label = path.basename(file).replace(/\.export\.csv$|\.csv$/, '');
+    const trials = [];
+    const keystrokes = [];
+    let open = null;
+
+    events.forEach(e => {
+        if (e.type === 'trial_start') {
+            open = {
+                label: `${label} #${Number(e.trial) + 1}`,
+                test: e.detail,
+                index: Number(e.trial),
+                phrase: e.text,
+                start: e.time,
+                keystrokes: [],
+                handMode: e.handMode,
+                radius: Number(e.radius),
+            };
+        } else if (e.type === 'trial_end' && open) {
+            trials.push({ ...open, end: e.time, transcription: e.text, stopped: / stopped$/.test(e.detail) });
+            open = null;
+        } else if (e.type === 'key' || e.type === 'swipe') {
+            keystrokes.push(e.time);
+            if (open) open.keystrokes.push(e.time);
+        }
+    });
+
+    if (trials.length === 0 && keystrokes.length > 0) {
+        const first = events.find(e => e.type === 'key' || e.type === 'swipe');
+        trials.push({
+            label,
+            test: '',
+            index: 0,
+            phrase: '',
+            start: keystrokes[0] - preS,
+            end: keystrokes[keystrokes.length - 1] + postS,
+            keystrokes,
+            handMode: first.handMode,
+            radius: Number(first.radius),
+            transcription: '',
+            stopped: false,
+        });
+    }
+    return trials;
+};
+
+// Typing-test results by "<test id>:<trial index>".
+const loadTestResults = () => {
+    const results = new Map();
+    list(args.tests).forEach(file => {
+        const test = JSON.parse(fs.readFileSync(file, 'utf8'));
+        (test.trials || []).forEach(t => results.set(`${test.id}:${t.index}`, t));
+    });
+    return results;
+};
+
+/* =========================
+   Analysis
+   ========================= */
+
+const channels = loadChannels(args.emg);
+if (channels.length === 0) {
+    console.error(`${args.emg}: no EMG columns found`);
+    process.exit(1);
+}
+const testResults = loadTestResults();
+const trials = list(args.session).flatMap(loadTrials).map(trial => {
+    const result = testResults.get(`${trial.test}:${trial.index}`);
+    return result ? { ...trial, wpm: result.wpm, kspc: result.kspc, totalErrorRate: result.totalErrorRate } : trial;
+});
+
+const features = trials.flatMap(trial => channels.map(channel => ({
+    trial: trial.label,
+    channel: channel.name,
+    start: trial.start,
+    end: trial.end,
+    keystrokes: trial.keystrokes.length,
+    ...windowFeatures(channel, trial.start, trial.end, trial.keystrokes.map(t => [t - preS, t + postS])),
+})));
+
+// Min/max envelope of a channel for plotting, at most PLOT_BUCKETS buckets.
+const envelope = (channel) => {
+    const n = channel.value.length;
+    const size = Math.max(1, Math.ceil(n / PLOT_BUCKETS));
+    const t = [];
+    const min = [];
+    const max = [];
+    for (let i = 0; i < n; i += size) {
+        let lo = Infinity;
+        let hi = -Infinity;
+        for (let j = i; j < Math.min(n, i + size); j++) {
+            lo = Math.min(lo, channel.value[j]);
+            hi = Math.max(hi, channel.value[j]);
+        }
+        t.push(+channel.time[i].toFixed(4));
+        min.push(+lo.toPrecision(4));
+        max.push(+hi.toPrecision(4));
+    }
+    return { t, min, max };
+};
+
+/* =========================
+   Output
+   ========================= */
+
+const round = (v, digits = 4) => (isFinite(v) ? +v.toFixed(digits) : null);
+
+const FEATURE_COLUMNS = ['trial', 'channel', 'start', 'end', 'keystrokes', 'samples', 'rms', 'mnf', 'keyRms', 'keyMnf'];
+if (typeof args.csv === 'string') {
+    fs.writeFileSync(args.csv, [
+        FEATURE_COLUMNS.join(','),
+        ...features.map(f => csvRow(FEATURE_COLUMNS.map(c => (typeof f[c] === 'number' && !isFinite(f[c]) ? '' : f[c])))),
+    ].join('\n') + '\n');
+}
+
+const data = {
+    title: `EMG report: ${path.basename(args.emg)}`,
+    generated: new Date().toISOString(),
+    settings: { syncOffset, preMs: preS * 1000, postMs: postS * 1000, sessions: list(args.session).map(f => path.basename(f)) },
+    channels: channels.map(c => ({ name: c.name, sampleRate: round(c.sampleRate, 1), samples: c.value.length, ...envelope(c) })),
+    trials: trials.map(t => ({
+        label: t.label,
+        phrase: t.phrase,
+        transcription: t.transcription,
+        start: round(t.start),
+        end: round(t.end),
+        stopped: t.stopped,
+        handMode: t.handMode,
+        radius: t.radius,
+        keystrokes: t.keystrokes.map(k => round(k)),
+        wpm: round(t.wpm, 2),
+        kspc: round(t.kspc, 3),
+        totalErrorRate: round(t.totalErrorRate),
+    })),
+    features: features.map(f => ({
+        trial: f.trial, channel: f.channel, rms: round(f.rms, 6), mnf: round(f.mnf, 2), keyRms: round(f.keyRms, 6), keyMnf: round(f.keyMnf, 2),
+    })),
+};
+
+const out = typeof args.out === 'string' ? args.out : 'emg-report.html';
+const template = fs.readFileSync(new URL('./emg-report.html', import.meta.url), 'utf8');
+fs.writeFileSync(out, template
+    .replace('__TITLE__', data.title.replace(/[<&]/g, ch => (ch === '<' ? '&lt;' : '&amp;')))
+    .replace('__DATA__', () => JSON.stringify(data).replace(/</g, '\\u003c')));
+
+channels.forEach(c => console.log(`${c.name}: ${c.value.length} samples at ${c.sampleRate.toFixed(1)} Hz`));
+console.log(`${trials.length} trial(s), ${features.length} feature rows; report written to ${out}`);
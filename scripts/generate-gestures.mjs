@@ -0,0 +1,63 @@
+/* =========================
+   SYNTHETIC GESTURE GENERATOR
+   =========================
+   Writes human-like swipes (src/gestureSynth.js) as JSON lines in the
+   logged-stroke format read by train-gesture-model.mjs and benchmark.mjs:
+   { word, points: [{ x, y, t }], geometry }.
+
+   node scripts/generate-gestures.mjs [--words hello,world | --top 1000]
+       [--per-word 1] [--hand LEFT|RIGHT|BOTH] [--radius 500] [--layout standard]
+       [--seed 1] [--out gestures.jsonl]
+
+   Any SYNTH_DEFAULTS option can be overridden as a flag, e.g.
+   --aimSigma 0.3 --overshoot 0.5. Without --out the lines go to stdout.
+*/
+
+import fs from 'fs';
+import { createTemplateStore } from '../src/gestureDecoder.js';
+import { SYNTH_DEFAULTS, synthesizeGesture } from '../src/gestureSynth.js';
+import { loadBundledLexicon, loadBundledLayouts, buildAlphaKeys, createRng, parseArgs } from './common.mjs';
+
+const args = parseArgs(process.argv.slice(2));
+const rng = createRng(Number(args.seed) || 1);
+const layouts = loadBundledLayouts();
+const layoutId = layouts[args.layout] ? args.layout : 'standard';
+
+const words = typeof args.words === 'string'
+    ? args.words.split(',').map(w => w.trim().toLowerCase()).filter(Boolean)
+    : loadBundledLexicon().words.slice(0, Number(args.top) || 1000);
+
+const synthOptions = {};
+Object.keys(SYNTH_DEFAULTS).forEach(name => {
+    if (args[name] !== undefined && isFinite(Number(args[name]))) synthOptions[name] = Number(args[name]);
+});
+
+const hands = args.hand === 'BOTH' ? ['LEFT', 'RIGHT'] : [args.hand === 'RIGHT' ? 'RIGHT' : 'LEFT'];
+const perWord = Math.max(1, Number(args['per-word']) || 1);
+const templateStore = createTemplateStore();
+
+const lines = [];
+let skipped = 0;
+hands.forEach(handMode => {
+    const geometry = { handMode, layoutId };
+    if (args.radius !== undefined) geometry.radius = Number(args.radius);
+    const { keyCenters } = buildAlphaKeys({ ...geometry, layout: layouts[layoutId] });
+    const { keySize } = templateStore.get(keyCenters);
+
+    words.forEach(word => {
+        for (let n = 0; n < perWord; n++) {
+            const points = synthesizeGesture(word, keyCenters, keySize, rng, synthOptions);
+            if (!points) { skipped++; return; }
+            points.forEach(p => { p.x = +p.x.toFixed(1); p.y = +p.y.toFixed(1); });
+            lines.push(JSON.stringify({ word, points, geometry }));
+        }
+    });
+});
+
+const output = lines.join('\n') + '\n';
+if (typeof args.out === 'string') {
+    fs.writeFileSync(args.out, output);
+    console.log(`Wrote ${lines.length} gestures to ${args.out}${skipped ? `, skipped ${skipped} untraceable words` : ''}`);
+} else {
+    process.stdout.write(output);
+}
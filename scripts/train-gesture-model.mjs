@@ -0,0 +1,186 @@
+/* =========================
+   GESTURE MODEL TRAINING
+   =========================
+   Trains the neural ranker (src/gestureModel.js) with tfjs on the CPU and
+   writes it as a single JSON file the app reads from its documents
+   directory (see src/gestureModelStore.js).
+
+   node scripts/train-gesture-model.mjs [--strokes swipes.jsonl[,more.jsonl]]
+       [--synthetic 3000] [--epochs 10] [--seed 1] [--out gesture-model.json]
+
+   Logged strokes are JSON lines, one committed swipe each:
+
+   { "word": "hello",
+     "points": [{ "x": 112.5, "y": 604.1, "t": 1718000000000 }, ...],
+     "geometry": { "screenWidth": 411, "screenHeight": 866, "handMode": "LEFT",
+                   "radius": 513, "offsetX": 0, "offsetY": 40, "bottomInset": 20,
+                   "layoutId": "standard" } }
+
+   `geometry` describes the layout the stroke was drawn on; missing fields
+   fall back to the defaults in common.mjs. Synthetic strokes
+   (src/gestureSynth.js) are added on top, for several hand/radius variants.
+
+   Each stroke becomes one group: the heuristic candidates the app would
+   hand to the ranker at the start of a sentence (its language model with
+   no n-grams loaded), labelled 1 for the committed word and 0 otherwise.
+   The features carry the context-free lexicon prior, as in the app.
+   Strokes whose word is not among the candidates are skipped and counted.
+*/
+
+import fs from 'fs';
+import * as tf from '@tensorflow/tfjs';
+import {
+    GESTURE_CONFIG, createTemplateStore, prepareStroke, heuristicCandidates, traceLetters,
+} from '../src/gestureDecoder.js';
+import { FEATURE_SIZE, candidateFeatures } from '../src/gestureFeatures.js';
+import { createRankerModel, serializeRankerModel } from '../src/gestureModel.js';
+import { synthesizeGesture } from '../src/gestureSynth.js';
+import { createLanguageModel, SENTENCE_START } from '../src/languageModel.js';
+import {
+    loadBundledLexicon, loadBundledLayouts, buildAlphaKeys, replayStroke, createRng, readJsonLines, parseArgs,
+} from './common.mjs';
+
+const SYNTHETIC_VOCABULARY = 5000;        // synthetic words are drawn from the most frequent
+const SYNTHETIC_GEOMETRIES = [
+    { handMode: 'LEFT', radius: 440 },
+    { handMode: 'LEFT', radius: 500 },
+    { handMode: 'LEFT', radius: 560 },
+    { handMode: 'RIGHT', radius: 440 },
+    { handMode: 'RIGHT', radius: 500 },
+    { handMode: 'RIGHT', radius: 560 },
+];
+const VALIDATION_SHARE = 0.1;
+
+const args = parseArgs(process.argv.slice(2));
+const rng = createRng(Number(args.seed) || 1);
+const lexicon = loadBundledLexicon();
+const languageModel = createLanguageModel(lexicon);
+const layouts = loadBundledLayouts();
+const templateStore = createTemplateStore(16);
+
+// Keys, key centers and decoder context per distinct geometry
+const geometryCache = new Map();
+const getGeometry = (geometry = {}) => {
+    const signature = JSON.stringify(geometry);
+    if (!geometryCache.has(signature)) {
+        const layout = layouts[geometry.layoutId] || layouts.standard;
+        const { keys, keyCenters } = buildAlphaKeys({ ...geometry, layout });
+        const templates = templateStore.get(keyCenters);
+        const decoder = { lexicon, templates, scorer: 'MSE', languageModel, context: [SENTENCE_START] };
+        geometryCache.set(signature, { keys, keyCenters, decoder });
+    }
+    return geometryCache.get(signature);
+};
+
+const collectExamples = () => {
+    const examples = [];
+    if (typeof args.strokes === 'string') {
+        args.strokes.split(',').forEach(path => {
+            readJsonLines(path).forEach(r => {
+                if (typeof r.word === 'string' && Array.isArray(r.points) && r.points.length > 0) {
+                    examples.push({ word: r.word.toLowerCase(), points: r.points, geometry: r.geometry || {} });
+                }
+            });
+        });
+    }
+    const logged = examples.length;
+
+    const syntheticCount = args.synthetic === undefined ? 3000 : Number(args.synthetic);
+    const vocabulary = lexicon.words.slice(0, SYNTHETIC_VOCABULARY).filter(w => w.length > 1);
+    for (let n = 0; n < syntheticCount; n++) {
+        const geometry = SYNTHETIC_GEOMETRIES[n % SYNTHETIC_GEOMETRIES.length];
+        // Bias towards frequent words, as in real typing
+        const word = vocabulary[Math.floor(vocabulary.length * rng() * rng())];
+        const { keyCenters, decoder } = getGeometry(geometry);
+        examples.push({ word, points: synthesizeGesture(word, keyCenters, decoder.templates.keySize, rng), geometry });
+    }
+    console.log(`${logged} logged and ${examples.length - logged} synthetic strokes`);
+    return examples;
+};
+
+// One stroke -> { rows, target } or null when unusable
+const buildGroup = ({ word, points, geometry }) => {
+    const { keys, decoder } = getGeometry(geometry);
+    const trace = replayStroke(points, keys);
+    const { letters, forced } = traceLetters(trace);
+    if (letters.length === 0) return null;
+
+    const stroke = prepareStroke(trace.points);
+    const candidates = heuristicCandidates(decoder, letters, stroke, forced).slice(0, GESTURE_CONFIG.RESCORE_CANDIDATES);
+    const target = candidates.findIndex(c => c.w === word);
+    if (target === -1) return null;
+
+    const rows = candidates.map(c => candidateFeatures(stroke, decoder.templates, c.w, letters.length, c.sub, c.prior));
+    if (rows.some(row => !row)) return null;
+    return { rows, target };
+};
+
+const toTensors = (groups) => {
+    const count = groups.reduce((n, g) => n + g.rows.length, 0);
+    const xs = new Float32Array(count * FEATURE_SIZE);
+    const ys = new Float32Array(count);
+    let r = 0;
+    groups.forEach(g => g.rows.forEach((row, k) => {
+        xs.set(row, r * FEATURE_SIZE);
+        ys[r] = k === g.target ? 1 : 0;
+        r++;
+    }));
+    return { xs: tf.tensor2d(xs, [count, FEATURE_SIZE]), ys: tf.tensor2d(ys, [count, 1]) };
+};
+
+// Share of groups whose correct word gets the highest logit
+const topOneAccuracy = (model, groups) => {
+    let correct = 0;
+    groups.forEach(g => {
+        const logits = tf.tidy(() => model.predict(tf.stack(g.rows.map(row => tf.tensor1d(row)))).dataSync());
+        let best = 0;
+        for (let k = 1; k < logits.length; k++) if (logits[k] > logits[best]) best = k;
+        if (best === g.target) correct++;
+    });
+    return groups.length ? correct / groups.length : 0;
+};
+
+const main = async () => {
+    await tf.setBackend('cpu');
+    await tf.ready();
+
+    const examples = collectExamples();
+    const groups = examples.map(buildGroup).filter(Boolean);
+    console.log(`${groups.length} usable groups, ${examples.length - groups.length} skipped (word not retrieved)`);
+    if (groups.length < 10) {
+        console.error('Not enough usable strokes to train on');
+        process.exitCode = 1;
+        return;
+    }
+
+    // Shuffle, then hold out a validation share
+    for (let i = groups.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [groups[i], groups[j]] = [groups[j], groups[i]];
+    }
+    const validation = groups.splice(0, Math.max(1, Math.round(groups.length * VALIDATION_SHARE)));
+    const heuristicTop = validation.filter(g => g.target === 0).length / validation.length;
+
+    const model = createRankerModel(tf);
+    model.compile({ optimizer: tf.train.adam(0.003), loss: (yTrue, yPred) => tf.losses.sigmoidCrossEntropy(yTrue, yPred) });
+    const { xs, ys } = toTensors(groups);
+    await model.fit(xs, ys, {
+        epochs: Number(args.epochs) || 10,
+        batchSize: 256,
+        shuffle: true,
+        verbose: 0,
+        callbacks: {
+            onEpochEnd: (epoch, logs) => console.log(`epoch ${epoch + 1}: loss ${logs.loss.toFixed(4)}`),
+        },
+    });
+    xs.dispose();
+    ys.dispose();
+
+    console.log(`validation top-1: heuristic ${(heuristicTop * 100).toFixed(1)}%, model ${(topOneAccuracy(model, validation) * 100).toFixed(1)}%`);
+
+    const out = args.out || 'gesture-model.json';
+    fs.writeFileSync(out, JSON.stringify(await serializeRankerModel(tf, model)));
+    console.log(`Wrote ${out}; copy it to the app's documents directory as gesture-model.json`);
+};
+
+main();
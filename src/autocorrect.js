@@ -0,0 +1,202 @@
+/* =========================
+   ARC-AWARE AUTOCORRECT
+   =========================
+   Tap errors on the curved layout land on the keys next to the intended one
+   along the same ring (adjacent angles) or on the rings just inside and
+   outside it (adjacent radialDepth rows), not on QWERTY grid neighbours.
+
+   buildConfusionModel turns the computed key positions into
+   log P(typed letter | intended letter), using the distance between key
+   centres in the arc's polar frame: radial steps in ring depths, angular
+   steps in key widths. correctWord then weighs every lexicon word within
+   MAX_EDITS edits (neighbour substitutions, transpositions, and dropped or
+   extra letters) by that likelihood times its language-model probability
+   and only replaces the typed word when a candidate wins by MIN_GAIN.
+   Words the lexicon knows are never changed (gold is not a slip for good),
+   and words with no candidate within one edit are left alone: they are
+   more likely a name or slang than a typo.
+*/
+
+import { angleDelta } from './hitTest.js';
+import { scoreWord } from './languageModel.js';
+import { letterMask, popcount } from './lexicon.js';
+
+export const AUTOCORRECT_CONFIG = {
+    MIN_LENGTH: 2,
+    MAX_EDITS: 2,
+    // Spread of the confusion model, in key widths / ring depths
+    NEIGHBOUR_SIGMA: 0.6,
+    // Keys further apart than this (same units) are never confused
+    NEIGHBOUR_RANGE: 1.6,
+    TRANSPOSE_LOG_PROBABILITY: Math.log(0.02),
+    // A letter typed twice or brushed in passing / a letter skipped
+    INSERT_LOG_PROBABILITY: Math.log(0.01),
+    DELETE_LOG_PROBABILITY: Math.log(0.01),
+    // ...except the repeat of a doubled letter, which is missed or doubled
+    // about as often as it is typed right (helo is hello, not help)
+    DOUBLE_LOG_PROBABILITY: Math.log(0.5),
+    // Shorter words get one substitution or transposition at most; a letter
+    // more or less, or a second slip, changes them too much to guess
+    SHORT_WORD_LENGTH: 4,
+    // Some candidate must be this close before anything is corrected
+    MAX_NEAREST_EDITS: 1,
+    // Prior for typed words the lexicon does not know
+    UNKNOWN_PROBABILITY: 1e-8,
+    // Log-score margin a candidate needs over the typed word; short unknown
+    // words are often deliberate (lol, brb), so they need a clearer win
+    MIN_GAIN: Math.log(4),
+    SHORT_WORD_MIN_GAIN: Math.log(100),
+};
+
+const isLetterKey = (keyData) => !keyData.isSpecial && /^[a-z]$/i.test(keyData.keyChar);
+
+// Distance between two keys in key widths (along the arc) and ring depths.
+const polarDistance = (a, b) => {
+    const depth = ((a.outerRadius - a.innerRadius) + (b.outerRadius - b.innerRadius)) / 2;
+    const radial = ((a.innerRadius + a.outerRadius) - (b.innerRadius + b.outerRadius)) / 2 / depth;
+    const width = (Math.abs(a.widthAngle) + Math.abs(b.widthAngle)) / 2;
+    const angular = angleDelta(a.keyCenterAngle, b.keyCenterAngle) / width;
+    return Math.hypot(radial, angular);
+};
+
+/**
+ * Confusion model for the letter keys of a layout:
+ * Map(intended -> Map(typed -> log probability)), lowercase letters.
+ */
+export const buildConfusionModel = (keys) => {
+    const { NEIGHBOUR_SIGMA, NEIGHBOUR_RANGE } = AUTOCORRECT_CONFIG;
+    const letters = keys.filter(isLetterKey);
+    const model = new Map();
+
+    letters.forEach(intended => {
+        const weights = new Map();
+        let total = 0;
+        letters.forEach(typed => {
+            const d = intended === typed ? 0 : polarDistance(intended, typed);
+            if (d > NEIGHBOUR_RANGE) return;
+            const w = Math.exp(-(d * d) / (2 * NEIGHBOUR_SIGMA * NEIGHBOUR_SIGMA));
+            weights.set(typed.keyChar.toLowerCase(), w);
+            total += w;
+        });
+        const logs = new Map();
+        weights.forEach((w, ch) => logs.set(ch, Math.log(w / total)));
+        model.set(intended.keyChar.toLowerCase(), logs);
+    });
+    return model;
+};
+
+// Edit budget and required margin for a typed word of this length; short
+// words allow no inserted or dropped letters.
+const editLimits = (length) => (length < AUTOCORRECT_CONFIG.SHORT_WORD_LENGTH
+    ? { maxEdits: 1, indels: false, minGain: AUTOCORRECT_CONFIG.SHORT_WORD_MIN_GAIN }
+    : { maxEdits: AUTOCORRECT_CONFIG.MAX_EDITS, indels: true, minGain: AUTOCORRECT_CONFIG.MIN_GAIN });
+
+/**
+ * Best alignment of `typed` to `word`: { logP, edits } with logP the log
+ * P(typed | word), or null when `word` is past the edit budget. Dynamic
+ * programme over (typed index, word index, edits used), kept to the band
+ * |i - j| <= maxEdits; `scratch` is reused between calls.
+ */
+const typingLikelihood = (confusion, typed, word, scratch = { best: new Float64Array(0) }) => {
+    const { TRANSPOSE_LOG_PROBABILITY, INSERT_LOG_PROBABILITY, DELETE_LOG_PROBABILITY, DOUBLE_LOG_PROBABILITY } = AUTOCORRECT_CONFIG;
+    const { maxEdits, indels } = editLimits(typed.length);
+    const n = typed.length;
+    const m = word.length;
+    if (Math.abs(n - m) > (indels ? maxEdits : 0)) return null;
+    const cols = m + 1;
+    const layer = (n + 1) * cols;
+    const size = layer * (maxEdits + 1);
+    if (scratch.best.length < size) scratch.best = new Float64Array(size * 2);
+    const { best } = scratch;
+    best.fill(-Infinity, 0, size);
+    best[0] = 0;
+    const relax = (i, j, e, logP) => {
+        if (e > maxEdits || i > n || j > m) return;
+        const at = e * layer + i * cols + j;
+        if (logP > best[at]) best[at] = logP;
+    };
+
+    for (let i = 0; i <= n; i++) {
+        for (let j = Math.max(0, i - maxEdits); j <= Math.min(m, i + maxEdits); j++) {
+            for (let e = 0; e <= maxEdits; e++) {
+                const logP = best[e * layer + i * cols + j];
+                if (logP === -Infinity) continue;
+                if (i < n && j < m) {
+                    const intended = confusion.get(word[j]);
+                    if (typed[i] === word[j]) {
+                        relax(i + 1, j + 1, e, logP + (intended ? intended.get(word[j]) : 0));
+                    } else if (intended && intended.has(typed[i])) {
+                        relax(i + 1, j + 1, e + 1, logP + intended.get(typed[i]));
+                    }
+                    if (typed[i] === word[j + 1] && typed[i + 1] === word[j] && typed[i] !== word[j]) {
+                        relax(i + 2, j + 2, e + 1, logP + TRANSPOSE_LOG_PROBABILITY);
+                    }
+                }
+                if (!indels) continue;
+                relax(i + 1, j, e + 1, logP + (i > 0 && typed[i] === typed[i - 1] ? DOUBLE_LOG_PROBABILITY : INSERT_LOG_PROBABILITY));
+                relax(i, j + 1, e + 1, logP + (j > 0 && word[j] === word[j - 1] ? DOUBLE_LOG_PROBABILITY : DELETE_LOG_PROBABILITY));
+            }
+        }
+    }
+
+    let result = null;
+    for (let e = 0; e <= maxEdits; e++) {
+        const logP = best[e * layer + n * cols + m];
+        if (logP === -Infinity) continue;
+        if (!result) result = { logP, edits: e };
+        else if (logP > result.logP) result.logP = logP;
+    }
+    return result;
+};
+
+const matchCase = (typed, word) => {
+    if (typed.length > 1 && typed === typed.toUpperCase()) return word.toUpperCase();
+    if (/^[A-Z]/.test(typed)) return word[0].toUpperCase() + word.slice(1);
+    return word;
+};
+
+/**
+ * Best correction of `typed` after `context` (see contextBefore), or null
+ * when the typed word should stay. The language model's lexicon supplies
+ * the candidates; the result keeps the typed capitalisation.
+ */
+export const correctWord = (confusion, languageModel, context, typed) => {
+    const { MIN_LENGTH, MAX_NEAREST_EDITS, UNKNOWN_PROBABILITY } = AUTOCORRECT_CONFIG;
+    const lower = typed.toLowerCase();
+    if (lower.length < MIN_LENGTH || !/^[a-z]+$/.test(lower)) return null;
+    if ([...lower].some(ch => !confusion.has(ch))) return null;
+
+    const { lexicon } = languageModel;
+    if (lexicon.index.has(lower)) return null;
+    const prior = (word) => Math.log(Math.max(scoreWord(languageModel, context, word), UNKNOWN_PROBABILITY));
+    const scratch = { best: new Float64Array(0) };
+    const { maxEdits, minGain } = editLimits(lower.length);
+    const typedScore = prior(lower) + typingLikelihood(confusion, lower, lower, scratch).logP;
+
+    let best = null;
+    let bestScore = typedScore + minGain;
+    let nearest = Infinity;
+    const mask = letterMask(lower);
+    for (let i = 0; i < lexicon.size; i++) {
+        if (Math.abs(lexicon.lengths[i] - lower.length) > maxEdits) continue;
+        // Every letter one word has and the other lacks costs an edit
+        const other = lexicon.masks[i];
+        if (popcount(mask & ~other) > maxEdits || popcount(other & ~mask) > maxEdits) continue;
+        const word = lexicon.words[i];
+        if (word === lower) continue;
+        // Likelihoods are at most 0, so once the one-edit check is settled a
+        // word whose prior alone cannot win needs no alignment
+        const wordPrior = prior(word);
+        if (nearest <= MAX_NEAREST_EDITS && wordPrior <= bestScore) continue;
+        const alignment = typingLikelihood(confusion, lower, word, scratch);
+        if (!alignment) continue;
+        nearest = Math.min(nearest, alignment.edits);
+        const score = alignment.logP + wordPrior;
+        if (score > bestScore) {
+            best = word;
+            bestScore = score;
+        }
+    }
+    if (nearest > MAX_NEAREST_EDITS) return null;
+    return best && matchCase(typed, best);
+};
@@ -0,0 +1,76 @@
+/* =========================
+   ELASTIC (DTW) MATCHING
+   =========================
+   Alternative to the point-wise MSE scorer. Dynamic time warping lets the
+   i-th stroke point align with a nearby template point instead of exactly
+   the i-th one, so a hook at the start, an overshoot or a lingering corner
+   only costs where it happens instead of shifting every later point.
+
+   Two channels are combined:
+   - shape:    bounding-box normalized polylines (as used by the MSE scorer)
+   - location: raw screen positions in units of the key spacing, so words
+               with the same shape in different parts of the arc differ
+*/
+
+export const ELASTIC_CONFIG = {
+    BAND_RATIO: 0.25,        // Sakoe-Chiba band, as a fraction of the point count
+    SHAPE_WEIGHT: 1,
+    LOCATION_WEIGHT: 0.08,   // location error is in key units, much larger than shape error
+};
+
+/**
+ * DTW distance between two flat [x0, y0, x1, y1, ...] polylines. Returns
+ * the mean squared coordinate difference along the best alignment, so the
+ * value is on the same scale as mseBetween for identical timing.
+ */
+export function dtwDistance(a, b, bandRatio = ELASTIC_CONFIG.BAND_RATIO) {
+    if (!a || !b || a.length === 0 || b.length === 0) return Infinity;
+    const n = a.length / 2;
+    const m = b.length / 2;
+    const band = Math.max(Math.abs(n - m), Math.ceil(Math.max(n, m) * bandRatio));
+
+    // Rolling rows of accumulated cost and path length
+    let prevCost = new Float64Array(m + 1).fill(Infinity);
+    let prevSteps = new Float64Array(m + 1);
+    let cost = new Float64Array(m + 1);
+    let steps = new Float64Array(m + 1);
+    prevCost[0] = 0;
+
+    for (let i = 1; i <= n; i++) {
+        cost.fill(Infinity);
+        const center = Math.round(i * m / n);
+        const from = Math.max(1, center - band);
+        const to = Math.min(m, center + band);
+        const ax = a[(i - 1) * 2];
+        const ay = a[(i - 1) * 2 + 1];
+        for (let j = from; j <= to; j++) {
+            const dx = ax - b[(j - 1) * 2];
+            const dy = ay - b[(j - 1) * 2 + 1];
+            const d = dx * dx + dy * dy;
+
+            // match, insertion, deletion
+            let best = prevCost[j - 1];
+            let bestSteps = prevSteps[j - 1];
+            if (prevCost[j] < best) { best = prevCost[j]; bestSteps = prevSteps[j]; }
+            if (cost[j - 1] < best) { best = cost[j - 1]; bestSteps = steps[j - 1]; }
+            cost[j] = best + d;
+            steps[j] = bestSteps + 1;
+        }
+        [prevCost, cost] = [cost, prevCost];
+        [prevSteps, steps] = [steps, prevSteps];
+    }
+
+    const total = prevCost[m];
+    return isFinite(total) ? total / (2 * prevSteps[m]) : Infinity;
+}
+
+/**
+ * Combined elastic error for one candidate. `stroke` and `template` each
+ * carry { shape, location } flat polylines; `keySize` converts location
+ * differences from pixels to key units.
+ */
+export function elasticError(stroke, template, keySize) {
+    const shapeErr = dtwDistance(stroke.shape, template.shape);
+    const locationErr = dtwDistance(stroke.location, template.location) / (keySize * keySize);
+    return ELASTIC_CONFIG.SHAPE_WEIGHT * shapeErr + ELASTIC_CONFIG.LOCATION_WEIGHT * locationErr;
+}
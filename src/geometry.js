@@ -0,0 +1,129 @@
+/* =========================
+   ARC GEOMETRY ENGINE
+   =========================
+   Pure layout math for the curved keyboard. Nothing in here touches React
+   Native, so it can be driven from Node (tooling, benchmarks) as well as
+   from the app components.
+
+   A layout definition looks like:
+   {
+       rows: [{ chars, radialDepth, startAngle, keyWidth, gap }],   // chars: 'Q' or { char, width }
+       specialKeyWidth: 9,            // width (deg) of multi-char keys in rows
+       controlRow: {
+           radialDepth: 3,
+           keys: [{ char, startAngle, width }],
+       },
+   }
+*/
+
+export const RADIUS_STEP = 55;
+export const SPECIAL_KEY_WIDTH = 9;
+export const HAND_INSET_RATIO = 0.2;
+
+// Helper: Polar to Cartesian
+export const polarToCartesian = (center_x, center_y, radius, angleInDegrees) => {
+    const angleInRadians = (angleInDegrees - 90) * Math.PI / 180.0;
+    return {
+        x: center_x + (radius * Math.cos(angleInRadians)),
+        y: center_y + (radius * Math.sin(angleInRadians))
+    };
+};
+
+// Arc center X for the active hand. The center sits just off-screen on the
+// side of the thumb, so the keys fan out towards the opposite edge.
+export const getHandCenterX = (screenWidth, handMode, offsetX = 0, insetRatio = HAND_INSET_RATIO) => {
+    const baseHandX = handMode === 'RIGHT'
+        ? screenWidth * (1 + insetRatio)
+        : screenWidth * -insetRatio;
+    return baseHandX + offsetX;
+};
+
+export const getCenterY = (screenHeight, bottomInset = 0, offsetY = 0) => (
+    screenHeight - bottomInset + offsetY
+);
+
+// Screen position of the middle of a key (halfway along its radial depth).
+export const getKeyCenter = (keyData) => {
+    const { innerRadius, outerRadius, keyCenterAngle, centerX, centerY } = keyData;
+    return polarToCartesian(centerX, centerY, (innerRadius + outerRadius) / 2, keyCenterAngle);
+};
+
+/**
+ * Builds the full key list for a layout.
+ *
+ * Angles in the layout are always expressed for the left hand; right-hand
+ * mode mirrors them by flipping the sweep direction around the hand center.
+ */
+export const buildKeyboardLayout = ({
+    layout,
+    screenWidth,
+    screenHeight,
+    handMode = 'LEFT',
+    radius = screenWidth * 1.25,
+    offsetX = 0,
+    offsetY = 0,
+    bottomInset = 0,
+    radiusStep = RADIUS_STEP,
+    handInsetRatio = HAND_INSET_RATIO,
+}) => {
+    const keys = [];
+    const isRightHanded = handMode === 'RIGHT';
+    const centerX = getHandCenterX(screenWidth, handMode, offsetX, handInsetRatio);
+    const centerY = getCenterY(screenHeight, bottomInset, offsetY);
+
+    // Direction Multiplier
+    const dir = isRightHanded ? -1 : 1;
+    const specialKeyWidth = layout.specialKeyWidth ?? SPECIAL_KEY_WIDTH;
+
+    const ringFor = (radialDepth) => {
+        const outerRadius = radius - (radialDepth * radiusStep);
+        return { innerRadius: outerRadius - radiusStep, outerRadius };
+    };
+
+    const calculateKeyGeometry = (char, startAngle, widthAngle, ring, rowIndex, isSpecial = false) => {
+        const keyEndAngle = startAngle + (widthAngle * dir);
+        const keyCenterAngle = startAngle + ((widthAngle * dir) / 2);
+
+        return {
+            keyChar: char,
+            isSpecial,
+            rowIndex,
+            innerRadius: ring.innerRadius,
+            outerRadius: ring.outerRadius,
+            keyCenterAngle,
+            keyStartAngle: startAngle,
+            keyEndAngle,
+            widthAngle: widthAngle * dir,
+            centerX,
+            centerY,
+        };
+    };
+
+    // 1. Main Rows
+    layout.rows.forEach((row, rowIndex) => {
+        const ring = ringFor(row.radialDepth);
+        let currentAngle = row.startAngle * dir;
+
+        row.chars.forEach(entry => {
+            // Entries are a plain label or { char, width } with a width override
+            const char = typeof entry === 'string' ? entry : entry.char;
+            const isSpecial = char.length > 1;
+            const defaultWidth = isSpecial ? specialKeyWidth : row.keyWidth;
+            const thisKeyWidth = typeof entry === 'string' ? defaultWidth : (entry.width ?? defaultWidth);
+
+            keys.push(calculateKeyGeometry(char, currentAngle, thisKeyWidth, ring, rowIndex, isSpecial));
+            currentAngle += ((thisKeyWidth + row.gap) * dir);
+        });
+    });
+
+    // 2. Control Row
+    if (layout.controlRow) {
+        const ring = ringFor(layout.controlRow.radialDepth);
+        const rowIndex = layout.rows.length;
+        layout.controlRow.keys.forEach(({ char, startAngle, width }) => {
+            keys.push(calculateKeyGeometry(char, startAngle * dir, width, ring, rowIndex, true));
+        });
+    }
+
+    return { keys, centerX, centerY };
+};
@@ -0,0 +1,526 @@
+/* =========================
+   GESTURE (SWIPE) DECODER
+   =========================
+   Shape-matching decoder for swipe typing. A stroke is resampled to a fixed
+   number of points, normalized to its bounding box and compared against a
+   template polyline for every word, built through the centers of the
+   word's keys on the current layout.
+
+   Scoring functions take a decoder context
+   { lexicon, templates, scorer, ranker, languageModel, context }:
+   the lexicon (see lexicon.js) supplies the vocabulary and frequency
+   priors, the template set supplies polylines for the current geometry and
+   `scorer` is one of SCORER_NAMES ('MSE' by default). 'NEURAL' re-ranks
+   with the optional `ranker` (see gestureModel.js) and behaves like 'MSE'
+   while no model is loaded. With an n-gram `languageModel` and the preceding
+   words as `context`, the frequency prior is conditioned on that context.
+   The ranker itself is trained on the context-free lexicon prior; context
+   is added to its logits (contextLogRatio), so a model scores the same
+   features in training and in the app.
+*/
+
+import { getKeyCenter } from './geometry.js';
+import { DEMO_WORDLIST, letterMask, popcount, getEndsGroup } from './lexicon.js';
+import { elasticError } from './elasticMatch.js';
+import { contextualWeight, contextLogRatio } from './languageModel.js';
+
+export const GESTURE_CONFIG = {
+    PAUSE_THRESHOLD_MS: 260,          // linger to force letter
+    SAMPLE_THROTTLE_MS: 12,           // sampling interval while moving
+    RESAMPLE_POINTS: 28,              // points for normalized stroke
+    LIVE_PREDICT_INTERVAL_MS: 120,    // how often to update live suggestions while swiping
+    SWIPE_MIN_DISTANCE: 20,           // px of travel before a touch counts as a swipe
+
+    // acceptance thresholds — tuned for conservative, user-friendly behavior
+    MIN_ACCEPT_SCORE: 0.62,           // combined 0..1
+    MIN_MARGIN: 0.12,                 // difference to runner-up
+    // the neural ranker's scores are softmax probabilities, so it has its own
+    // thresholds; set with scripts/benchmark.mjs for about 95% commit
+    // precision, as DTW has (synthetic strokes: 73% committed)
+    NEURAL_MIN_ACCEPT_SCORE: 0.85,
+    NEURAL_MIN_MARGIN: 0.7,
+
+    // combined score = geo * shape similarity + sub * subsequence + freq * frequency prior
+    SCORE_WEIGHTS: { geo: 0.55, sub: 0.30, freq: 0.15 },
+
+    // candidate retrieval
+    NEIGHBOUR_RATIO: 1.6,             // keys within this x nearest-key distance count as neighbours
+    LENGTH_SLACK: 2,                  // words may be this much longer than the traced key count
+    MAX_SCORED_CANDIDATES: 220,       // templates compared per decode
+    RESCORE_CANDIDATES: 40,           // best heuristic matches re-ranked by the neural ranker
+
+    // latency targets per swipe (ms), checked by scripts/decoder-latency.mjs
+    LIVE_LATENCY_TARGET_MS: 12,
+    DECODE_LATENCY_TARGET_MS: 16,
+};
+
+const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+
+/* =========================
+   Path helpers (resample, normalize, flatten)
+   ========================= */
+export function resamplePath(points, n) {
+    if (!points || points.length === 0) return Array.from({ length: n }, () => ({ x: 0, y: 0 }));
+    // distances between consecutive points
+    const segLen = [];
+    for (let i = 1; i < points.length; i++) {
+        const dx = points[i].x - points[i - 1].x;
+        const dy = points[i].y - points[i - 1].y;
+        segLen.push(Math.hypot(dx, dy));
+    }
+    const total = segLen.reduce((a, b) => a + b, 0);
+    if (total === 0) return Array.from({ length: n }, () => ({ x: points[0].x, y: points[0].y }));
+
+    // cumulative distances
+    const cum = [0];
+    for (let i = 0; i < segLen.length; i++) cum.push(cum[i] + segLen[i]);
+
+    const res = [];
+    for (let i = 0; i < n; i++) {
+        const t = (i / (n - 1)) * cum[cum.length - 1];
+        // find segment j such that cum[j] <= t < cum[j+1]
+        let j = 0;
+        while (j < cum.length - 1 && cum[j + 1] < t) j++;
+        const start = points[j];
+        const end = points[Math.min(j + 1, points.length - 1)];
+        const segTotal = cum[j + 1] - cum[j] || 1;
+        const localT = (t - cum[j]) / segTotal;
+        res.push({
+            x: start.x + (end.x - start.x) * localT,
+            y: start.y + (end.y - start.y) * localT,
+        });
+    }
+    return res;
+}
+
+export function normalizePath(points) {
+    if (!points || points.length === 0) return [];
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    points.forEach(p => {
+        if (p.x < minX) minX = p.x;
+        if (p.y < minY) minY = p.y;
+        if (p.x > maxX) maxX = p.x;
+        if (p.y > maxY) maxY = p.y;
+    });
+    const w = Math.max(1e-6, maxX - minX);
+    const h = Math.max(1e-6, maxY - minY);
+    const scale = 1 / Math.max(w, h);
+    const cx = minX + w / 2;
+    const cy = minY + h / 2;
+    return points.map(p => ({ x: (p.x - cx) * scale, y: (p.y - cy) * scale }));
+}
+
+export function flattenPoints(points) {
+    const out = new Float32Array(points.length * 2);
+    for (let i = 0; i < points.length; i++) {
+        out[i * 2] = points[i].x;
+        out[i * 2 + 1] = points[i].y;
+    }
+    return out;
+}
+
+export function mseBetween(a, b) {
+    if (!a || !b || a.length !== b.length) return Infinity;
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        const d = a[i] - b[i];
+        sum += d * d;
+    }
+    return sum / a.length;
+}
+
+// Raw {x, y} samples -> flat normalized polyline comparable with templates.
+export const strokeToFlat = (points, n = GESTURE_CONFIG.RESAMPLE_POINTS) => (
+    flattenPoints(normalizePath(resamplePath(points.map(p => ({ x: p.x, y: p.y })), n)))
+);
+
+// Both matching channels of a stroke: the normalized shape and the raw
+// resampled positions (see elasticMatch.js).
+export const prepareStroke = (points, n = GESTURE_CONFIG.RESAMPLE_POINTS) => {
+    const resampled = resamplePath(points.map(p => ({ x: p.x, y: p.y })), n);
+    return { shape: flattenPoints(normalizePath(resampled)), location: flattenPoints(resampled) };
+};
+
+/* =========================
+   Templates (precompute for performance)
+   ========================= */
+
+// Center of every single-letter key, keyed by lowercase letter.
+export const getKeyCenters = (keys) => {
+    const map = {};
+    keys.forEach(k => {
+        if (k.keyChar.length !== 1 || !/[a-z]/i.test(k.keyChar)) return;
+        const pos = getKeyCenter(k);
+        map[k.keyChar.toLowerCase()] = { x: pos.x, y: pos.y, label: k.keyChar };
+    });
+    return map;
+};
+
+// The word's path through its key centers, or null when a letter has no key.
+const wordPath = (keyCenters, word) => {
+    const pts = [];
+    for (const ch of word.toLowerCase()) {
+        const center = keyCenters[ch];
+        if (!center) return null;
+        pts.push({ x: center.x, y: center.y });
+    }
+    if (pts.length === 1) pts.push({ x: pts[0].x + 0.001, y: pts[0].y + 0.001 });
+    return pts;
+};
+
+// Flat normalized template through the word's key centers, or null when a
+// letter has no key.
+export const buildWordTemplate = (keyCenters, word, n = GESTURE_CONFIG.RESAMPLE_POINTS) => {
+    const pts = wordPath(keyCenters, word);
+    return pts && strokeToFlat(pts, n);
+};
+
+// Median distance from each letter key to its nearest neighbour.
+export const medianKeySpacing = (keyCenters) => {
+    const pts = Object.values(keyCenters);
+    if (pts.length < 2) return 1;
+    const nearest = pts.map(p => Math.min(...pts.filter(q => q !== p).map(q => Math.hypot(q.x - p.x, q.y - p.y))));
+    nearest.sort((a, b) => a - b);
+    return nearest[Math.floor(nearest.length / 2)] || 1;
+};
+
+// Word -> flat normalized template for a whole list, built eagerly.
+export const buildWordTemplates = (keyCenters, wordlist = DEMO_WORDLIST, n = GESTURE_CONFIG.RESAMPLE_POINTS) => {
+    const cache = {};
+    for (const w of wordlist) cache[w] = buildWordTemplate(keyCenters, w, n);
+    return cache;
+};
+
+// Stable fingerprint of the letter positions (rounded to 0.1 px).
+export const keyCentersSignature = (keyCenters) => Object.keys(keyCenters)
+    .sort()
+    .map(ch => `${ch}:${keyCenters[ch].x.toFixed(1)},${keyCenters[ch].y.toFixed(1)}`)
+    .join('|');
+
+// Letter index (0 = 'a') -> mask of that letter and the letters whose keys
+// lie within NEIGHBOUR_RATIO times its nearest-key distance. Used to
+// tolerate strokes that start, end or cut corners next to the intended key.
+export const buildKeyNeighbours = (keyCenters, ratio = GESTURE_CONFIG.NEIGHBOUR_RATIO) => {
+    const neighbours = new Uint32Array(26);
+    const letters = Object.keys(keyCenters);
+    letters.forEach(a => {
+        const pa = keyCenters[a];
+        const dists = letters.filter(b => b !== a).map(b => ({ b, d: Math.hypot(keyCenters[b].x - pa.x, keyCenters[b].y - pa.y) }));
+        const nearest = Math.min(...dists.map(e => e.d));
+        let mask = letterMask(a);
+        dists.forEach(({ b, d }) => { if (d <= nearest * ratio) mask |= letterMask(b); });
+        neighbours[a.charCodeAt(0) - 97] = mask >>> 0;
+    });
+    return neighbours;
+};
+
+/**
+ * Templates for one geometry, built on first use. With a lexicon of tens of
+ * thousands of words only the few hundred that survive retrieval are ever
+ * built. `letters` is the mask of letters present on the layout,
+ * `neighbours` the per-letter key neighbourhoods, `keySize` the typical
+ * key spacing in pixels and `centers` the key centers themselves. get()
+ * returns the normalized shape template; getChannels() returns
+ * { shape, location } for the elastic scorer and the neural ranker.
+ */
+export const createTemplateSet = (keyCenters, n = GESTURE_CONFIG.RESAMPLE_POINTS) => {
+    const cache = new Map();
+    const channels = new Map();
+    return {
+        letters: letterMask(Object.keys(keyCenters).join('')),
+        neighbours: buildKeyNeighbours(keyCenters),
+        keySize: medianKeySpacing(keyCenters),
+        centers: keyCenters,
+        get(word) {
+            if (!cache.has(word)) cache.set(word, buildWordTemplate(keyCenters, word, n));
+            return cache.get(word);
+        },
+        getChannels(word) {
+            if (!channels.has(word)) {
+                const pts = wordPath(keyCenters, word);
+                channels.set(word, pts && prepareStroke(pts, n));
+            }
+            return channels.get(word);
+        },
+    };
+};
+
+const EMPTY_TEMPLATE_SET = {
+    letters: 0, neighbours: new Uint32Array(26), keySize: 1, centers: {}, get: () => null, getChannels: () => null,
+};
+
+/**
+ * Template sets for the last few geometries. Tuning the radius or offsets,
+ * mirroring for the other hand or switching layouts all move the keys, so
+ * templates must follow; toggling back to a previous geometry (e.g. left ->
+ * right -> left, or ALPHA -> NUMERIC -> ALPHA) reuses the cached set and the
+ * templates already built in it.
+ */
+export const createTemplateStore = (maxEntries = 4) => {
+    const cache = new Map();
+    return {
+        get(keyCenters) {
+            // Layouts without letters (NUMERIC) have nothing to swipe over
+            if (Object.keys(keyCenters).length === 0) return EMPTY_TEMPLATE_SET;
+            const signature = keyCentersSignature(keyCenters);
+            if (cache.has(signature)) {
+                const templates = cache.get(signature);
+                cache.delete(signature);
+                cache.set(signature, templates);
+                return templates;
+            }
+            const templates = createTemplateSet(keyCenters);
+            cache.set(signature, templates);
+            if (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+            return templates;
+        },
+        clear() {
+            cache.clear();
+        },
+    };
+};
+
+/* subsequence scoring */
+export function subsequenceScore(seqLetters, word) {
+    if (!seqLetters || seqLetters.length === 0) return 0;
+    const seq = seqLetters.join('').toLowerCase();
+    const w = word.toLowerCase();
+    let i = 0, score = 0;
+    for (const c of w) {
+        if (i < seq.length && c === seq[i]) { score += 2; i++; }
+        else if (seq.includes(c)) score += 0.4;
+    }
+    if (i === seq.length) score += 5;
+    const denom = Math.max(1, 2 * seq.length + 5);
+    return clamp(score / denom, 0, 1);
+}
+
+// True when the forced (lingered-on) letters appear in order in `word`.
+export const respectsForcedLetters = (word, forcedLetters) => {
+    if (!forcedLetters || forcedLetters.length === 0) return true;
+    const w = String(word).toLowerCase();
+    let idx = -1;
+    for (const f of forcedLetters) {
+        const next = w.indexOf(f, idx + 1);
+        if (next === -1) return false;
+        idx = next;
+    }
+    return true;
+};
+
+const letterIndex = (ch) => ch.charCodeAt(0) - 97;
+
+// True when the letters of `word` occur in order in `seq`; doubled letters
+// may share one traced key.
+const isSubsequence = (word, seq) => {
+    let j = 0;
+    for (let i = 0; i < word.length; i++) {
+        if (i > 0 && word[i] === word[i - 1] && seq[j - 1] === word[i]) continue;
+        while (j < seq.length && seq[j] !== word[i]) j++;
+        if (j === seq.length) return false;
+        j++;
+    }
+    return true;
+};
+
+/**
+ * Candidate retrieval. Instead of scanning the whole lexicon, only the
+ * (first, last) letter groups whose letters neighbour the first and last
+ * traced keys are visited. Within those, a word must fit on the layout,
+ * contain the forced letters, be at most LENGTH_SLACK longer than the
+ * traced key sequence, and keep every letter within the neighbourhood of
+ * some traced key (at most one letter off the traced keys themselves).
+ * Words whose ends match the traced ends exactly, and words that appear in
+ * order in the traced sequence, are ranked ahead of the rest; within a tier
+ * the order is by frequency. Returns lexicon indices, capped at `limit`.
+ */
+export function retrieveCandidates(decoder, seqLetters, forcedLetters = [], limit = GESTURE_CONFIG.MAX_SCORED_CANDIDATES) {
+    const { lexicon, templates } = decoder;
+    const seqLen = seqLetters.length;
+    if (seqLen === 0) return [];
+
+    const { neighbours } = templates;
+    const seqMask = letterMask(seqLetters.join(''));
+    const forcedMask = letterMask(forcedLetters.join(''));
+    const missing = ~templates.letters >>> 0;
+    let reach = 0;
+    seqLetters.forEach(ch => { reach |= neighbours[letterIndex(ch)]; });
+    const maxLength = seqLen + GESTURE_CONFIG.LENGTH_SLACK;
+
+    const first = letterIndex(seqLetters[0]);
+    const last = letterIndex(seqLetters[seqLen - 1]);
+    const firstMask = neighbours[first];
+    const lastMask = neighbours[last];
+    const seqString = seqLetters.join('');
+    const found = [];
+    for (let f = 0; f < 26; f++) {
+        if (!(firstMask & (1 << f))) continue;
+        for (let l = 0; l < 26; l++) {
+            if (!(lastMask & (1 << l))) continue;
+            const group = getEndsGroup(lexicon, f, l);
+            for (let g = 0; g < group.length; g++) {
+                const i = group[g];
+                const mask = lexicon.masks[i];
+                if (lexicon.lengths[i] > maxLength) continue;
+                if (mask & missing) continue;
+                if ((mask & forcedMask) !== forcedMask) continue;
+                if (mask & ~reach) continue;
+                if (seqLen > 3 && popcount(mask & ~seqMask) > 1) continue;
+                const tier = (f === first && l === last ? 0 : 2) + (isSubsequence(lexicon.words[i], seqString) ? 0 : 1);
+                found.push(tier * lexicon.size + i);
+            }
+        }
+    }
+
+    // Sort keys encode (tier, rank), so one numeric sort merges the groups
+    found.sort((a, b) => a - b);
+    const out = found.length > limit ? found.slice(0, limit) : found;
+    return out.map(key => key % lexicon.size);
+}
+
+/**
+ * Geometric matchers, each returning an error where 0 is a perfect match
+ * (lower better). `stroke` comes from prepareStroke.
+ */
+export const SCORERS = {
+    MSE: (stroke, templates, word) => mseBetween(stroke.shape, templates.get(word)),
+    DTW: (stroke, templates, word) => {
+        const template = templates.getChannels(word);
+        return template ? elasticError(stroke, template, templates.keySize) : Infinity;
+    },
+};
+
+export const SCORER_NAMES = [...Object.keys(SCORERS), 'NEURAL'];
+
+const softmax = (logits) => {
+    const max = Math.max(...logits);
+    if (!isFinite(max)) return logits.map(() => 0);
+    const exps = logits.map(v => Math.exp(v - max));
+    const sum = exps.reduce((a, b) => a + b, 0);
+    return exps.map(v => v / sum);
+};
+
+const combineScores = (geoErr, sub, freq) => {
+    const geoSim = 1 / (1 + geoErr * 40); // tuned mapping
+    const w = GESTURE_CONFIG.SCORE_WEIGHTS;
+    return w.geo * geoSim + w.sub * sub + w.freq * freq;
+};
+
+// Every retrieved candidate ranked by the hand-weighted combined score,
+// best first. This is also the candidate list the neural ranker sees.
+// MSE and DTW each match every retrieved candidate; NEURAL starts from MSE.
+export function heuristicCandidates(decoder, seqLetters, stroke, forcedLetters = []) {
+    const { lexicon, templates } = decoder;
+    const seq = seqLetters.map(l => l.toLowerCase());
+    const forced = forcedLetters.map(l => l.toLowerCase());
+    const match = SCORERS[decoder.scorer] || SCORERS.MSE;
+
+    const scored = [];
+    for (const i of retrieveCandidates(decoder, seq, forced)) {
+        const w = lexicon.words[i];
+        if (!respectsForcedLetters(w, forced)) continue;
+        const geoErr = match(stroke, templates, w); // lower better
+        const sub = subsequenceScore(seq, w);
+        const prior = lexicon.weights[i];
+        const freq = decoder.languageModel ? contextualWeight(decoder.languageModel, decoder.context, w) : prior;
+        scored.push({ w, combined: combineScores(geoErr, sub, freq), geoErr, sub, freq, prior });
+    }
+    scored.sort((a, b) => b.combined - a.combined);
+    return scored;
+}
+
+/* combined candidate scoring (fast) — uses cached polylines */
+export function scoreCandidatesForStrokeFast(decoder, seqLetters, stroke, forcedLetters = []) {
+    let scored = heuristicCandidates(decoder, seqLetters, stroke, forcedLetters);
+
+    // The neural ranker replaces the combined score with a word probability
+    if (decoder.scorer === 'NEURAL' && decoder.ranker && scored.length > 0) {
+        scored = scored.slice(0, GESTURE_CONFIG.RESCORE_CANDIDATES);
+        const { languageModel, context } = decoder;
+        const logits = decoder.ranker.rank(stroke, decoder.templates, scored, seqLetters.length)
+            .map((v, k) => (languageModel ? v + contextLogRatio(languageModel, context, scored[k].w) : v));
+        const probs = softmax(logits);
+        scored = scored.map((c, k) => ({ ...c, combined: probs[k] }));
+        scored.sort((a, b) => b.combined - a.combined);
+    }
+    return scored.slice(0, 8);
+}
+
+/* =========================
+   Stroke capture
+   ========================= */
+
+// A stroke in progress: raw samples plus the discrete key sequence it
+// passed over. Mutated in place while the finger moves.
+export const createTrace = () => ({ points: [], sequence: [], lastSampleT: 0 });
+
+// Adds a touch sample; `label` is the key under the finger (or null).
+// Lingering on a key for PAUSE_THRESHOLD_MS marks it as forced.
+export const extendTrace = (trace, x, y, t, label) => {
+    if (trace.points.length === 0 || t - trace.lastSampleT >= GESTURE_CONFIG.SAMPLE_THROTTLE_MS) {
+        trace.points.push({ x, y, t });
+        trace.lastSampleT = t;
+    }
+    if (!label) return trace;
+
+    const l = label.toLowerCase();
+    const last = trace.sequence[trace.sequence.length - 1];
+    if (!last || last.label !== l) {
+        const gap = last ? t - last.t : 0;
+        trace.sequence.push({ label: l, forced: gap >= GESTURE_CONFIG.PAUSE_THRESHOLD_MS, t });
+    } else {
+        if (!last.forced && t - last.t >= GESTURE_CONFIG.PAUSE_THRESHOLD_MS) last.forced = true;
+        last.t = t;
+    }
+    return trace;
+};
+
+const letterSequence = (trace) => trace.sequence.filter(s => s && s.label && /^[a-z]$/.test(s.label));
+
+// The traced letters and the forced (lingered-on) subset, as letter arrays.
+export const traceLetters = (trace) => {
+    const seq = letterSequence(trace);
+    return { letters: seq.map(s => s.label), forced: seq.filter(s => s.forced).map(s => s.label) };
+};
+
+// Lightweight ranking used while the finger is still moving. DTW and the
+// neural ranker are kept for the release decision; live guesses use MSE.
+export const livePredict = (decoder, trace, limit = 3) => {
+    if (trace.points.length === 0) return [];
+    const { letters, forced } = traceLetters(trace);
+    const liveDecoder = decoder.scorer === 'MSE' ? decoder : { ...decoder, scorer: 'MSE' };
+    const cands = scoreCandidatesForStrokeFast(liveDecoder, letters, prepareStroke(trace.points), forced);
+    return cands.slice(0, limit).map(c => c.w);
+};
+
+/**
+ * Final decision on release. Returns one of
+ *   { action: 'word', word, accepted, candidates }  - commit a whole word
+ *   { action: 'letters', letters, candidates }       - fall back to raw letters
+ *   null                                              - nothing to insert
+ */
+export const decodeTrace = (decoder, trace) => {
+    const { letters: rawLetters, forced: forcedLetters } = traceLetters(trace);
+
+    if (trace.points.length === 0 && rawLetters.length === 0) return null;
+
+    const candidates = scoreCandidatesForStrokeFast(decoder, rawLetters, prepareStroke(trace.points), forcedLetters);
+
+    if (candidates.length > 0) {
+        const top = candidates[0];
+        const second = candidates[1] || { combined: 0 };
+        const margin = top.combined - second.combined;
+        const respectsForced = respectsForcedLetters(top.w, forcedLetters);
+        const neural = decoder.scorer === 'NEURAL' && decoder.ranker;
+        const minAccept = neural ? GESTURE_CONFIG.NEURAL_MIN_ACCEPT_SCORE : GESTURE_CONFIG.MIN_ACCEPT_SCORE;
+        const minMargin = neural ? GESTURE_CONFIG.NEURAL_MIN_MARGIN : GESTURE_CONFIG.MIN_MARGIN;
+        if (respectsForced && (top.combined >= minAccept || margin >= minMargin)) {
+            return { action: 'word', word: top.w, accepted: true, candidates };
+        }
+    }
+
+    // fallback: insert raw letters if any, else show top suggestion
+    if (rawLetters.length > 0) return { action: 'letters', letters: rawLetters.join(''), candidates };
+    if (candidates.length > 0) return { action: 'word', word: candidates[0].w, accepted: false, candidates };
+    return null;
+};
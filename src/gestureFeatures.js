@@ -0,0 +1,64 @@
+/* =========================
+   GESTURE MODEL FEATURES
+   =========================
+   Fixed-size feature vector describing how well one candidate word fits a
+   stroke. The neural ranker (gestureModel.js) scores these vectors; the
+   training script builds them the same way, so any change here needs a
+   retrained model and a bump of MODEL_VERSION.
+
+   Layout (FEATURE_SIZE values):
+   - shape:    stroke minus template, bounding-box normalized   (2 * points)
+   - location: stroke minus template, in key units, clamped     (2 * points)
+   - keys:     for each letter, exp(-d^2) of the closest stroke
+               point to its key, in key units (0 past the word)  (MAX_FEATURE_LETTERS)
+   - scalars:  subsequence score, lexicon frequency prior (without
+               context), word length and traced key count
+               (scaled to about 0..1)                             (4)
+*/
+
+import { GESTURE_CONFIG } from './gestureDecoder.js';
+
+export const FEATURE_POINTS = GESTURE_CONFIG.RESAMPLE_POINTS;
+export const MAX_FEATURE_LETTERS = 14;
+export const FEATURE_SIZE = 4 * FEATURE_POINTS + MAX_FEATURE_LETTERS + 4;
+
+const LOCATION_CLAMP = 3;
+
+const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+
+/**
+ * `stroke` comes from prepareStroke, `templates` is the template set for
+ * the current geometry; `sub` is the heuristic scorer's subsequence score
+ * and `prior` the word's lexicon weight. Returns null when
+ * the word cannot be traced on this layout.
+ */
+export function candidateFeatures(stroke, templates, word, seqLength, sub, prior) {
+    const template = templates.getChannels(word);
+    if (!template) return null;
+    const out = new Float32Array(FEATURE_SIZE);
+    const n = FEATURE_POINTS * 2;
+    const keySize = templates.keySize;
+
+    for (let i = 0; i < n; i++) {
+        out[i] = stroke.shape[i] - template.shape[i];
+        out[n + i] = clamp((stroke.location[i] - template.location[i]) / keySize, -LOCATION_CLAMP, LOCATION_CLAMP);
+    }
+
+    const keysAt = 2 * n;
+    for (let k = 0; k < Math.min(word.length, MAX_FEATURE_LETTERS); k++) {
+        const center = templates.centers[word[k]];
+        let best = Infinity;
+        for (let i = 0; i < n; i += 2) {
+            const d = Math.hypot(stroke.location[i] - center.x, stroke.location[i + 1] - center.y) / keySize;
+            if (d < best) best = d;
+        }
+        out[keysAt + k] = Math.exp(-best * best);
+    }
+
+    const scalarsAt = keysAt + MAX_FEATURE_LETTERS;
+    out[scalarsAt] = sub;
+    out[scalarsAt + 1] = prior;
+    out[scalarsAt + 2] = Math.min(word.length, MAX_FEATURE_LETTERS) / MAX_FEATURE_LETTERS;
+    out[scalarsAt + 3] = Math.min(seqLength, 30) / 30;
+    return out;
+}
@@ -0,0 +1,77 @@
+/* =========================
+   NEURAL GESTURE RANKER
+   =========================
+   A small MLP that scores candidate words for a stroke from the features
+   in gestureFeatures.js. The decoder still retrieves candidates and ranks
+   them heuristically; the model re-ranks the best of them and a softmax
+   over its outputs gives word probabilities.
+
+   tfjs is passed in rather than imported, so the same code runs in the app
+   (tfjs, CPU backend) and in the Node training script.
+
+   Saved models are one JSON file:
+   { format, version, featureSize, modelTopology, weightSpecs, weights: number[] }
+*/
+
+import { FEATURE_SIZE, candidateFeatures } from './gestureFeatures.js';
+
+export const MODEL_FORMAT = 'arc-gesture-ranker';
+export const MODEL_VERSION = 2;  // 2: the prior feature no longer includes context
+
+// Outputs one logit per feature row.
+export const createRankerModel = (tf) => {
+    const model = tf.sequential();
+    model.add(tf.layers.dense({ inputShape: [FEATURE_SIZE], units: 64, activation: 'relu' }));
+    model.add(tf.layers.dense({ units: 32, activation: 'relu' }));
+    model.add(tf.layers.dense({ units: 1 }));
+    return model;
+};
+
+export const serializeRankerModel = async (tf, model) => {
+    let saved = null;
+    await model.save(tf.io.withSaveHandler(async (artifacts) => {
+        saved = artifacts;
+        return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+    }));
+    return {
+        format: MODEL_FORMAT,
+        version: MODEL_VERSION,
+        featureSize: FEATURE_SIZE,
+        modelTopology: saved.modelTopology,
+        weightSpecs: saved.weightSpecs,
+        weights: Array.from(new Float32Array(saved.weightData)),
+    };
+};
+
+// Throws when the file was written for different features or another format.
+export const deserializeRankerModel = async (tf, data) => {
+    if (!data || data.format !== MODEL_FORMAT) throw new Error('Not a gesture ranker model');
+    if (data.version !== MODEL_VERSION || data.featureSize !== FEATURE_SIZE) {
+        throw new Error(`Model version ${data.version} (${data.featureSize} features) does not match version ${MODEL_VERSION} (${FEATURE_SIZE} features)`);
+    }
+    return tf.loadLayersModel(tf.io.fromMemory({
+        modelTopology: data.modelTopology,
+        weightSpecs: data.weightSpecs,
+        weightData: new Float32Array(data.weights).buffer,
+    }));
+};
+
+/**
+ * Wraps a loaded model as the decoder's `ranker`: rank() returns a logit
+ * per candidate ({ w, sub, prior } from the heuristic pass), or -Infinity
+ * for words that cannot be traced on the layout.
+ */
+export const createModelRanker = (tf, model) => ({
+    rank(stroke, templates, candidates, seqLength) {
+        const rows = candidates.map(c => candidateFeatures(stroke, templates, c.w, seqLength, c.sub, c.prior));
+        const valid = rows.filter(Boolean);
+        if (valid.length === 0) return candidates.map(() => -Infinity);
+
+        const flat = new Float32Array(valid.length * FEATURE_SIZE);
+        valid.forEach((row, i) => flat.set(row, i * FEATURE_SIZE));
+        const logits = tf.tidy(() => model.predict(tf.tensor2d(flat, [valid.length, FEATURE_SIZE])).dataSync());
+
+        let next = 0;
+        return rows.map(row => (row ? logits[next++] : -Infinity));
+    },
+});
@@ -0,0 +1,43 @@
+/* =========================
+   GESTURE MODEL LOADING
+   =========================
+   The optional neural ranker is read from <documents>/gesture-model.json
+   (written by scripts/train-gesture-model.mjs). tfjs is only imported when
+   that file exists, and runs on the CPU backend. Any failure leaves the
+   decoder on the heuristic scorer.
+
+   Why CPU and not tfjs-react-native's rn-webgl backend: the ranker is a
+   64/32-unit MLP over at most RESCORE_CANDIDATES rows, about 0.3M
+   multiply-adds per swipe, so its time goes to per-op dispatch, which a GL
+   backend does not remove (a shader per op, then a blocking readback). The
+   package's latest release (1.0.0) also wants expo-gl/expo-camera 13, i.e.
+   Expo SDK 49. `npm run latency -- --scorer NEURAL --model ...` times it.
+*/
+
+import RNFS from 'react-native-fs';
+import { deserializeRankerModel, createModelRanker } from './gestureModel.js';
+import { FEATURE_SIZE } from './gestureFeatures.js';
+
+export const GESTURE_MODEL_PATH = `${RNFS.DocumentDirectoryPath}/gesture-model.json`;
+
+// Resolves to a ranker for the decoder context, or null.
+export const loadGestureRanker = async () => {
+    try {
+        if (!(await RNFS.exists(GESTURE_MODEL_PATH))) return null;
+        const data = JSON.parse(await RNFS.readFile(GESTURE_MODEL_PATH, 'utf8'));
+
+        // Plain tfjs on the CPU backend; tfjs-react-native is only needed for rn-webgl
+        const tf = await import('@tensorflow/tfjs');
+        await tf.setBackend('cpu');
+        await tf.ready();
+
+        const model = await deserializeRankerModel(tf, data);
+        // The first predict sets up the kernels (about 100 ms); pay it here,
+        // not on the first swipe
+        tf.tidy(() => model.predict(tf.zeros([1, FEATURE_SIZE])).dataSync());
+        return createModelRanker(tf, model);
+    } catch (err) {
+        console.warn('Could not load gesture model, using heuristic scoring', err);
+        return null;
+    }
+};
@@ -0,0 +1,110 @@
+/* =========================
+   SYNTHETIC GESTURES
+   =========================
+   Human-like swipe strokes for a word on any layout the geometry engine
+   produces, for benchmarking and training without swiping by hand. All
+   distances in the options are in key units (the typical key spacing,
+   `keySize`), so the same settings fit every radius and screen size.
+
+   A stroke is built in stages:
+   - aim:         each letter's target is the key center plus Gaussian error
+   - corners:     interior targets are pulled toward the chord of their
+                  neighbours, so the finger cuts corners instead of hitting them
+   - curvature:   every segment bows sideways (quadratic Bezier)
+   - overshoot:   the finger runs past the last key and partly back
+   - velocity:    segment duration follows Fitts' law, and progress along a
+                  segment blends constant speed with a minimum-jerk profile,
+                  so the finger slows down (but does not stop) at corners
+   - jitter:      Gaussian noise on every touch sample
+*/
+
+export const SYNTH_DEFAULTS = {
+    aimSigma: 0.2,           // key units
+    cornerCut: 0.2,          // 0 = through the target, 1 = straight along the chord
+    curvature: 0.12,         // sideways bow, fraction of segment length
+    overshoot: 0.35,         // key units past the last target
+    jitter: 0.03,            // key units per sample
+    cornerSlowdown: 0.6,     // 0 = constant speed, 1 = full stop at each key
+    fittsA: 60,              // ms per segment
+    fittsB: 90,              // ms per bit of log2(1 + distance / key)
+    sampleIntervalMs: 16,    // touch event rate
+};
+
+const minimumJerk = (tau) => tau * tau * tau * (10 - 15 * tau + 6 * tau * tau);
+
+const quadraticBezier = (a, c, b, u) => ({
+    x: (1 - u) * (1 - u) * a.x + 2 * (1 - u) * u * c.x + u * u * b.x,
+    y: (1 - u) * (1 - u) * a.y + 2 * (1 - u) * u * c.y + u * u * b.y,
+});
+
+/**
+ * Returns [{ x, y, t }] samples (t in ms from 0) for `word`, or null when a
+ * letter has no key. `rng` is a () => [0, 1) function with a `gauss()`
+ * method for standard normal samples (see scripts/common.mjs createRng).
+ */
+export function synthesizeGesture(word, keyCenters, keySize, rng, options = {}) {
+    const o = { ...SYNTH_DEFAULTS, ...options };
+    const letters = word.toLowerCase().split('');
+    if (letters.length === 0 || letters.some(ch => !keyCenters[ch])) return null;
+
+    // Aim
+    const targets = letters.map(ch => ({
+        x: keyCenters[ch].x + rng.gauss() * o.aimSigma * keySize,
+        y: keyCenters[ch].y + rng.gauss() * o.aimSigma * keySize,
+    }));
+
+    // Corner cutting
+    const waypoints = targets.map((p, i) => {
+        if (i === 0 || i === targets.length - 1) return p;
+        const a = targets[i - 1];
+        const b = targets[i + 1];
+        const cut = o.cornerCut * rng();
+        return { x: p.x + cut * ((a.x + b.x) / 2 - p.x), y: p.y + cut * ((a.y + b.y) / 2 - p.y) };
+    });
+
+    // Overshoot along the final direction (or a random one for one-letter words)
+    const last = waypoints[waypoints.length - 1];
+    const prev = waypoints[waypoints.length - 2];
+    let dir = prev ? { x: last.x - prev.x, y: last.y - prev.y } : { x: rng() - 0.5, y: rng() - 0.5 };
+    const dirLen = Math.hypot(dir.x, dir.y) || 1;
+    dir = { x: dir.x / dirLen, y: dir.y / dirLen };
+    const reach = o.overshoot * keySize * rng();
+    waypoints.push({ x: last.x + dir.x * reach, y: last.y + dir.y * reach });
+    waypoints.push({ x: last.x + dir.x * reach * 0.4, y: last.y + dir.y * reach * 0.4 });
+
+    const points = [];
+    let t = 0;
+    const sample = (p) => {
+        points.push({
+            x: p.x + rng.gauss() * o.jitter * keySize,
+            y: p.y + rng.gauss() * o.jitter * keySize,
+            t,
+        });
+    };
+    sample(waypoints[0]);
+
+    for (let i = 1; i < waypoints.length; i++) {
+        const a = waypoints[i - 1];
+        const b = waypoints[i];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const length = Math.hypot(dx, dy);
+        if (length < 1e-6) continue;
+
+        // Sideways bow through a control point off the segment's middle
+        const bow = rng.gauss() * o.curvature * length;
+        const control = { x: (a.x + b.x) / 2 - (dy / length) * bow, y: (a.y + b.y) / 2 + (dx / length) * bow };
+
+        const duration = o.fittsA + o.fittsB * Math.log2(1 + length / keySize);
+        const steps = Math.max(1, Math.round(duration / o.sampleIntervalMs));
+        for (let s = 1; s <= steps; s++) {
+            const tau = s / steps;
+            const u = (1 - o.cornerSlowdown) * tau + o.cornerSlowdown * minimumJerk(tau);
+            t += duration / steps;
+            sample(quadraticBezier(a, control, b, u));
+        }
+    }
+
+    points.forEach(p => { p.t = Math.round(p.t); });
+    return points;
+}
@@ -0,0 +1,91 @@
+/* =========================
+   ARC HIT TESTING
+   =========================
+   Resolves a touch against the exact annular sector of each key instead of
+   an approximated rectangle. Works for both hand modes: right-hand keys have
+   a negative widthAngle, so containment is measured around the key's center
+   angle rather than assuming start < end.
+*/
+
+// Max distance (px) from a sector edge that still counts as a tap on that key.
+export const NEAREST_KEY_THRESHOLD = 30;
+
+// Signed difference a - b folded into [-180, 180).
+export const angleDelta = (a, b) => ((((a - b) % 360) + 540) % 360) - 180;
+
+// Polar coordinates of a point in the frame used by polarToCartesian
+// (0deg points straight up, angles grow clockwise).
+export const toPolar = (pointX, pointY, centerX, centerY) => {
+    const dx = pointX - centerX;
+    const dy = pointY - centerY;
+    return {
+        radius: Math.sqrt(dx * dx + dy * dy),
+        angle: Math.atan2(dy, dx) * 180 / Math.PI + 90,
+    };
+};
+
+// Distance in px from a point to a key's sector; 0 when the point is inside.
+export const distanceToKey = (pointX, pointY, keyData) => {
+    const { innerRadius, outerRadius, keyCenterAngle, widthAngle, centerX, centerY } = keyData;
+    const { radius, angle } = toPolar(pointX, pointY, centerX, centerY);
+
+    const radialGap = Math.max(0, innerRadius - radius, radius - outerRadius);
+    const halfWidth = Math.abs(widthAngle) / 2;
+    const angularGap = Math.max(0, Math.abs(angleDelta(angle, keyCenterAngle)) - halfWidth);
+    // Measure the angular overshoot as arc length on the nearest ring edge.
+    const arcRadius = Math.min(Math.max(radius, innerRadius), outerRadius);
+    const tangentialGap = arcRadius * angularGap * Math.PI / 180;
+
+    return Math.hypot(radialGap, tangentialGap);
+};
+
+export const isPointInKey = (pointX, pointY, keyData) => distanceToKey(pointX, pointY, keyData) === 0;
+
+/**
+ * Returns the key under the point, or the closest key within `threshold`
+ * px when the point falls in a gap between sectors. Null otherwise.
+ */
+export const findKeyAt = (pointX, pointY, keys, threshold = NEAREST_KEY_THRESHOLD) => {
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const keyData of keys) {
+        const d = distanceToKey(pointX, pointY, keyData);
+        if (d === 0) return keyData;
+        if (d < bestDistance) {
+            bestDistance = d;
+            best = keyData;
+        }
+    }
+
+    return bestDistance <= threshold ? best : null;
+};
+
+/**
+ * True when the point lies in the keyboard's area: within the angular span
+ * of the keys and no further out than the outer ring, both widened by
+ * `margin` px. This includes the gaps between keys and the space inside the
+ * innermost ring, so touches that miss every key can still be recorded.
+ */
+export const isInKeyboardArea = (pointX, pointY, keys, margin = NEAREST_KEY_THRESHOLD) => {
+    if (keys.length === 0) return false;
+    const { centerX, centerY, keyCenterAngle: reference } = keys[0];
+    let outer = 0;
+    let lo = Infinity;
+    let hi = -Infinity;
+    keys.forEach(({ outerRadius, keyStartAngle, keyEndAngle }) => {
+        outer = Math.max(outer, outerRadius);
+        [keyStartAngle, keyEndAngle].forEach(angle => {
+            const delta = angleDelta(angle, reference);
+            lo = Math.min(lo, delta);
+            hi = Math.max(hi, delta);
+        });
+    });
+
+    const { radius, angle } = toPolar(pointX, pointY, centerX, centerY);
+    if (radius > outer + margin) return false;
+    // The margin as an angle on the outer ring
+    const slack = (margin / outer) * 180 / Math.PI;
+    const delta = angleDelta(angle, reference);
+    return delta >= lo - slack && delta <= hi + slack;
+};
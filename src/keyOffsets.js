@@ -0,0 +1,101 @@
+/* =========================
+   ADAPTIVE KEY TARGETS
+   =========================
+   Every thumb hits the curved keys with its own systematic bias. Once a
+   tapped word is committed, the touch of each letter is compared with the
+   centre of the key that letter really belongs to, and the offset is folded
+   into a running mean per key. The invisible hit regions are then shifted
+   by that mean; the drawn keys stay where they are.
+
+   Offsets use the same key units as tapDecoder.keyOffset (ring depths
+   radially, key widths along the arc), so they survive radius and offset
+   changes. They are kept per layout and hand, since a left thumb and a
+   right thumb miss differently:
+
+   { 'standard:LEFT': { a: { radial, angular, n }, ... }, ... }
+*/
+
+export const KEY_OFFSET_CONFIG = {
+    MIN_SAMPLES: 5,        // keys with fewer touches are not moved
+    PRIOR_SAMPLES: 10,     // shrinks the shift of keys with few touches
+    MAX_SAMPLES: 200,      // running mean window, so old habits fade out
+    MAX_SHIFT: 0.4,        // key units
+    OUTLIER: 1.2,          // touches further off than this are ignored
+};
+
+export const keyOffsetGroup = (layoutId, handMode) => `${layoutId}:${handMode}`;
+
+const isNum = (v) => typeof v === 'number' && isFinite(v);
+
+// Drops malformed entries from offsets read from disk.
+export const sanitizeKeyOffsets = (raw) => {
+    const offsets = {};
+    if (!raw || typeof raw !== 'object') return offsets;
+    Object.entries(raw).forEach(([group, keys]) => {
+        if (!keys || typeof keys !== 'object') return;
+        const clean = {};
+        Object.entries(keys).forEach(([letter, e]) => {
+            if (e && isNum(e.radial) && isNum(e.angular) && isNum(e.n) && e.n > 0) {
+                clean[letter] = { radial: e.radial, angular: e.angular, n: Math.round(e.n) };
+            }
+        });
+        offsets[group] = clean;
+    });
+    return offsets;
+};
+
+// Touches recorded for `group`, summed over its keys.
+export const countKeySamples = (offsets, group) => (
+    Object.values(offsets[group] || {}).reduce((sum, e) => sum + e.n, 0)
+);
+
+/**
+ * Adds samples ([{ letter, radial, angular }], see tapDecoder.keyOffset)
+ * to `group` and returns the new offsets object.
+ */
+export const recordKeyOffsets = (offsets, group, samples) => {
+    const { MAX_SAMPLES, OUTLIER } = KEY_OFFSET_CONFIG;
+    const keys = { ...(offsets[group] || {}) };
+    samples.forEach(({ letter, radial, angular }) => {
+        if (Math.abs(radial) > OUTLIER || Math.abs(angular) > OUTLIER) return;
+        const prev = keys[letter] || { radial: 0, angular: 0, n: 0 };
+        const n = Math.min(prev.n + 1, MAX_SAMPLES);
+        keys[letter] = {
+            radial: prev.radial + (radial - prev.radial) / n,
+            angular: prev.angular + (angular - prev.angular) / n,
+            n,
+        };
+    });
+    return { ...offsets, [group]: keys };
+};
+
+// Shift applied to a key, shrunk towards zero while samples are few.
+const keyShift = (entry) => {
+    const { MIN_SAMPLES, PRIOR_SAMPLES, MAX_SHIFT } = KEY_OFFSET_CONFIG;
+    if (!entry || entry.n < MIN_SAMPLES) return null;
+    const weight = entry.n / (entry.n + PRIOR_SAMPLES);
+    const clamp = (v) => Math.max(-MAX_SHIFT, Math.min(MAX_SHIFT, v * weight));
+    return { radial: clamp(entry.radial), angular: clamp(entry.angular) };
+};
+
+/**
+ * Hit-test copies of `keys` with every learned letter key moved onto the
+ * user's average touch. Keys without enough samples are returned as is.
+ */
+export const applyKeyOffsets = (keys, groupOffsets) => {
+    if (!groupOffsets) return keys;
+    return keys.map(keyData => {
+        const shift = !keyData.isSpecial && keyShift(groupOffsets[keyData.keyChar.toLowerCase()]);
+        if (!shift) return keyData;
+        const dr = shift.radial * (keyData.outerRadius - keyData.innerRadius);
+        const da = shift.angular * Math.abs(keyData.widthAngle);
+        return {
+            ...keyData,
+            innerRadius: keyData.innerRadius + dr,
+            outerRadius: keyData.outerRadius + dr,
+            keyStartAngle: keyData.keyStartAngle + da,
+            keyEndAngle: keyData.keyEndAngle + da,
+            keyCenterAngle: keyData.keyCenterAngle + da,
+        };
+    });
+};
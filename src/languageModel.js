@@ -0,0 +1,205 @@
+/* =========================
+   N-GRAM LANGUAGE MODEL
+   =========================
+   Bigram/trigram counts on top of the lexicon's unigram frequencies,
+   scored with stupid backoff (Brants et al. 2007): the relative frequency
+   of the longest context seen, discounted by BACKOFF for each step down.
+
+   Counts come from an optional n-gram file and from the words the user
+   commits while typing (observe). N-gram files have one entry per line,
+   `w1 w2 count` or `w1 w2 w3 count`; `<s>` marks a sentence start.
+
+   The model is mutable (observe adds counts in place); `version` increases
+   on every change so React code can memoize on it.
+*/
+
+import { getWordProbability, getWordWeight } from './lexicon.js';
+
+export const SENTENCE_START = '<s>';
+export const BACKOFF = 0.4;
+
+const TOKEN_RE = /[a-z']+|[.!?]+/g;
+
+/**
+ * Words before `index` as LM tokens: lowercased, sentence punctuation
+ * turned into SENTENCE_START, and a SENTENCE_START at the very beginning.
+ * The word touching `index` is not included.
+ */
+export const tokenizeBefore = (text, index = text.length) => {
+    let end = index;
+    while (end > 0 && /[\w']/.test(text[end - 1])) end--;
+    const tokens = [SENTENCE_START];
+    for (const match of text.slice(0, end).toLowerCase().matchAll(TOKEN_RE)) {
+        const token = /^[.!?]/.test(match[0]) ? SENTENCE_START : match[0];
+        if (token === SENTENCE_START && tokens[tokens.length - 1] === SENTENCE_START) continue;
+        tokens.push(token);
+    }
+    return tokens;
+};
+
+// The last two tokens, i.e. the trigram context.
+export const contextBefore = (text, index) => tokenizeBefore(text, index).slice(-2);
+
+const addCount = (table, key, word, count) => {
+    let followers = table.get(key);
+    if (!followers) {
+        followers = { total: 0, words: new Map() };
+        table.set(key, followers);
+    }
+    followers.words.set(word, (followers.words.get(word) || 0) + count);
+    followers.total += count;
+};
+
+export const createLanguageModel = (lexicon) => ({
+    lexicon,
+    bigrams: new Map(),    // w1 -> { total, words: Map(w2 -> count) }
+    trigrams: new Map(),   // "w1 w2" -> { total, words: Map(w3 -> count) }
+    learned: new Map(),    // "w1 w2 w3" -> count, what observe() added (persisted)
+    version: 0,
+});
+
+// Adds `count` occurrences of `word` after `context` (up to two tokens).
+export const observe = (model, context, word, count = 1) => {
+    const w = word.toLowerCase();
+    if (!/^[a-z']+$/.test(w)) return model;
+    const [a, b] = context.length >= 2 ? context.slice(-2) : [null, context[0]];
+    if (!b) return model;
+    addCount(model.bigrams, b, w, count);
+    if (a) addCount(model.trigrams, `${a} ${b}`, w, count);
+    const key = [a || '', b, w].join(' ');
+    model.learned.set(key, (model.learned.get(key) || 0) + count);
+    model.version++;
+    return model;
+};
+
+// Learns every word of `text` in context.
+export const observeText = (model, text) => {
+    const tokens = tokenizeBefore(text + ' ');
+    for (let i = 1; i < tokens.length; i++) {
+        if (tokens[i] !== SENTENCE_START) observe(model, tokens.slice(Math.max(0, i - 2), i), tokens[i]);
+    }
+    return model;
+};
+
+// Loads `w1 w2 count` / `w1 w2 w3 count` lines; returns the number used.
+export const loadNgramText = (model, text) => {
+    let loaded = 0;
+    text.split(/\r?\n/).forEach(line => {
+        const parts = line.trim().split(/\s+/);
+        if (parts.length < 3 || parts[0].startsWith('#')) return;
+        const count = Number(parts[parts.length - 1]);
+        if (!(count > 0)) return;
+        const words = parts.slice(0, -1).map(w => w.toLowerCase());
+        if (words.length === 2) addCount(model.bigrams, words[0], words[1], count);
+        else if (words.length === 3) addCount(model.trigrams, `${words[0]} ${words[1]}`, words[2], count);
+        else return;
+        loaded++;
+    });
+    model.version++;
+    return loaded;
+};
+
+/**
+ * Stupid-backoff score of `word` after `context` (not a normalized
+ * probability, but comparable across candidates for the same context).
+ */
+export const scoreWord = (model, context, word) => {
+    const [a, b] = context.length >= 2 ? context.slice(-2) : [null, context[0]];
+    let discount = 1;
+    if (a && b) {
+        const tri = model.trigrams.get(`${a} ${b}`);
+        const c = tri && tri.words.get(word);
+        if (c) return c / tri.total;
+        discount *= BACKOFF;
+    }
+    if (b) {
+        const bi = model.bigrams.get(b);
+        const c = bi && bi.words.get(word);
+        if (c) return discount * c / bi.total;
+        discount *= BACKOFF;
+    }
+    return discount * getWordProbability(model.lexicon, word);
+};
+
+/**
+ * Frequency prior for gesture scoring on the same [0.3, 1] scale as the
+ * lexicon weights, but conditioned on the preceding words. Falls back to
+ * the plain lexicon weight without context.
+ */
+export const contextualWeight = (model, context, word) => {
+    if (!context || context.length === 0) return getWordWeight(model.lexicon, word);
+    const score = scoreWord(model, context, word);
+    if (score <= 0) return 0.3;
+    return 0.3 + 0.7 * Math.max(0, Math.min(1, 1 + Math.log10(score) / 7));
+};
+
+/**
+ * log(P(word | context) / P(word)): how much more (or less) likely the
+ * preceding words make `word` than its plain frequency. Added to the neural
+ * ranker's logits, which only see the context-free prior. 0 without
+ * context or for unknown words.
+ */
+export const contextLogRatio = (model, context, word) => {
+    if (!context || context.length === 0) return 0;
+    const p = getWordProbability(model.lexicon, word);
+    const score = scoreWord(model, context, word);
+    return p > 0 && score > 0 ? Math.log(score / p) : 0;
+};
+
+// Candidate next words: trigram and bigram followers, then frequent words.
+const followers = (model, context) => {
+    const [a, b] = context.length >= 2 ? context.slice(-2) : [null, context[0]];
+    const out = new Set();
+    const tri = a && b && model.trigrams.get(`${a} ${b}`);
+    if (tri) tri.words.forEach((_c, w) => out.add(w));
+    const bi = b && model.bigrams.get(b);
+    if (bi) bi.words.forEach((_c, w) => out.add(w));
+    return out;
+};
+
+const rank = (model, context, words, limit) => [...words]
+    .map(w => ({ w, score: scoreWord(model, context, w) }))
+    .sort((x, y) => y.score - x.score)
+    .slice(0, limit)
+    .map(x => x.w);
+
+const FREQUENT_POOL = 200;
+
+// Most likely words to follow `context`.
+export const predictNext = (model, context, limit = 3, exclude = new Set()) => {
+    const pool = followers(model, context);
+    model.lexicon.words.slice(0, FREQUENT_POOL).forEach(w => pool.add(w));
+    exclude.forEach(w => pool.delete(w));
+    return rank(model, context, pool, limit);
+};
+
+// Most likely words starting with `prefix` after `context`.
+export const completeWord = (model, context, prefix, limit = 3, exclude = new Set()) => {
+    const p = prefix.toLowerCase();
+    if (!p) return predictNext(model, context, limit, exclude);
+    const pool = new Set([...followers(model, context)].filter(w => w.startsWith(p)));
+    const { words, size } = model.lexicon;
+    for (let i = 0, found = 0; i < size && found < FREQUENT_POOL; i++) {
+        if (words[i].startsWith(p)) { pool.add(words[i]); found++; }
+    }
+    exclude.forEach(w => pool.delete(w));
+    return rank(model, context, pool, limit);
+};
+
+/* =========================
+   Persistence of learned counts
+   ========================= */
+
+// Only the learned counts are saved; n-gram files are reloaded as they are.
+export const serializeCounts = (model) => ({
+    version: 1,
+    observations: [...model.learned.entries()].map(([key, count]) => [...key.split(' '), count]),
+});
+
+export const loadCounts = (model, data) => {
+    if (!data || data.version !== 1 || !Array.isArray(data.observations)) return model;
+    data.observations.forEach(([a, b, w, count]) => {
+        if (typeof w === 'string' && count > 0) observe(model, a ? [a, b] : [b], w, count);
+    });
+    return model;
+};
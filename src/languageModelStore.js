@@ -0,0 +1,36 @@
+/* =========================
+   LANGUAGE MODEL STORAGE
+   =========================
+   <documents>/ngrams.txt     optional n-gram counts (see languageModel.js),
+                              e.g. built with scripts/build-ngrams.mjs
+   <documents>/ngrams_learned.json
+                              counts learned from the user's own typing
+*/
+
+import RNFS from 'react-native-fs';
+import { createLanguageModel, loadNgramText, loadCounts, serializeCounts } from './languageModel.js';
+
+export const NGRAMS_PATH = `${RNFS.DocumentDirectoryPath}/ngrams.txt`;
+export const LEARNED_NGRAMS_PATH = `${RNFS.DocumentDirectoryPath}/ngrams_learned.json`;
+
+// Builds a model over `lexicon` with whatever counts are on disk.
+export const loadLanguageModel = async (lexicon) => {
+    const model = createLanguageModel(lexicon);
+    try {
+        if (await RNFS.exists(NGRAMS_PATH)) loadNgramText(model, await RNFS.readFile(NGRAMS_PATH, 'utf8'));
+        if (await RNFS.exists(LEARNED_NGRAMS_PATH)) {
+            loadCounts(model, JSON.parse(await RNFS.readFile(LEARNED_NGRAMS_PATH, 'utf8')));
+        }
+    } catch (err) {
+        console.warn('Could not read language model counts', err);
+    }
+    return model;
+};
+
+export const saveLearnedCounts = async (model) => {
+    try {
+        await RNFS.writeFile(LEARNED_NGRAMS_PATH, JSON.stringify(serializeCounts(model)), 'utf8');
+    } catch (err) {
+        console.warn('Could not save language model counts', err);
+    }
+};
@@ -0,0 +1,195 @@
+/* =========================
+   LAYOUT DEFINITION SCHEMA
+   =========================
+   Layouts are plain JSON so variants can ship as files instead of forks of
+   App.js. Version 1 looks like:
+
+   {
+       "schemaVersion": 1,
+       "id": "standard",
+       "name": "Standard arc",
+       "radiusStep": 55,              // optional, px per row
+       "handInsetRatio": 0.2,         // optional, see geometry.getHandCenterX
+       "specialKeyWidth": 9,          // optional, deg for multi-char row keys
+       "modes": {
+           "ALPHA": {
+               "rows": [{
+                   "chars": ["Q", "W", { "char": "DELETE", "width": 12 }],
+                   "radialDepth": 0, "startAngle": 15, "keyWidth": 5.5, "gap": 0.2
+               }],
+               "controlRow": {
+                   "radialDepth": 3,
+                   "keys": [{ "char": "SPACE", "startAngle": 35, "width": 20 }]
+               }
+           },
+           "NUMERIC": { ... }
+       }
+   }
+
+   Row entries are either a single-character string or { char, width } to
+   override the row's keyWidth. Multi-character entries must be one of
+   SPECIAL_KEYS, which the app knows how to act on.
+*/
+
+export const LAYOUT_SCHEMA_VERSION = 1;
+export const REQUIRED_MODES = ['ALPHA', 'NUMERIC'];
+export const SPECIAL_KEYS = ['SHIFT', 'DELETE', 'RETURN', 'SPACE', '123', 'ABC', '<', '>'];
+
+export class LayoutValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid layout:\n- ${errors.join('\n- ')}`);
+        this.name = 'LayoutValidationError';
+        this.errors = errors;
+    }
+}
+
+const isNum = (v) => typeof v === 'number' && isFinite(v);
+const isPositive = (v) => isNum(v) && v > 0;
+const isDepth = (v) => Number.isInteger(v) && v >= 0;
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const describe = (v) => (v === undefined ? 'nothing' : JSON.stringify(v));
+
+const validateKeyChar = (char, path, errors) => {
+    if (typeof char !== 'string' || char.length === 0) {
+        errors.push(`${path} must be a non-empty string (got ${describe(char)})`);
+    } else if (char.length > 1 && !SPECIAL_KEYS.includes(char)) {
+        errors.push(`${path} "${char}" is not a known special key (${SPECIAL_KEYS.join(', ')})`);
+    }
+};
+
+const validateRow = (row, path, errors) => {
+    if (!isObject(row)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    if (!isDepth(row.radialDepth)) errors.push(`${path}.radialDepth must be a whole number >= 0 (got ${describe(row.radialDepth)})`);
+    if (!isNum(row.startAngle)) errors.push(`${path}.startAngle must be a number of degrees (got ${describe(row.startAngle)})`);
+    if (!isPositive(row.keyWidth)) errors.push(`${path}.keyWidth must be a positive number of degrees (got ${describe(row.keyWidth)})`);
+    if (!isNum(row.gap) || row.gap < 0) errors.push(`${path}.gap must be a number >= 0 (got ${describe(row.gap)})`);
+
+    if (!Array.isArray(row.chars) || row.chars.length === 0) {
+        errors.push(`${path}.chars must be a non-empty list of keys`);
+        return;
+    }
+    row.chars.forEach((entry, i) => {
+        const keyPath = `${path}.chars[${i}]`;
+        if (typeof entry === 'string') {
+            validateKeyChar(entry, keyPath, errors);
+            return;
+        }
+        if (!isObject(entry)) {
+            errors.push(`${keyPath} must be a string or { char, width }`);
+            return;
+        }
+        validateKeyChar(entry.char, `${keyPath}.char`, errors);
+        if (entry.width !== undefined && !isPositive(entry.width)) {
+            errors.push(`${keyPath}.width must be a positive number of degrees (got ${describe(entry.width)})`);
+        }
+    });
+};
+
+const validateControlRow = (controlRow, path, rowDepths, errors) => {
+    if (!isObject(controlRow)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    if (!isDepth(controlRow.radialDepth)) {
+        errors.push(`${path}.radialDepth must be a whole number >= 0 (got ${describe(controlRow.radialDepth)})`);
+    } else if (rowDepths.includes(controlRow.radialDepth)) {
+        errors.push(`${path}.radialDepth ${controlRow.radialDepth} overlaps a main row at the same depth`);
+    }
+    if (!Array.isArray(controlRow.keys) || controlRow.keys.length === 0) {
+        errors.push(`${path}.keys must be a non-empty list`);
+        return;
+    }
+    controlRow.keys.forEach((key, i) => {
+        const keyPath = `${path}.keys[${i}]`;
+        if (!isObject(key)) {
+            errors.push(`${keyPath} must be { char, startAngle, width }`);
+            return;
+        }
+        validateKeyChar(key.char, `${keyPath}.char`, errors);
+        if (!isNum(key.startAngle)) errors.push(`${keyPath}.startAngle must be a number of degrees (got ${describe(key.startAngle)})`);
+        if (!isPositive(key.width)) errors.push(`${keyPath}.width must be a positive number of degrees (got ${describe(key.width)})`);
+    });
+};
+
+const validateMode = (mode, path, errors) => {
+    if (!isObject(mode)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    if (!Array.isArray(mode.rows) || mode.rows.length === 0) {
+        errors.push(`${path}.rows must be a non-empty list`);
+        return;
+    }
+    mode.rows.forEach((row, i) => validateRow(row, `${path}.rows[${i}]`, errors));
+
+    const rowDepths = mode.rows.map(row => row && row.radialDepth);
+    rowDepths.forEach((depth, i) => {
+        if (isDepth(depth) && rowDepths.indexOf(depth) !== i) {
+            errors.push(`${path}.rows[${i}].radialDepth ${depth} is already used by rows[${rowDepths.indexOf(depth)}]`);
+        }
+    });
+
+    if (mode.controlRow !== undefined) validateControlRow(mode.controlRow, `${path}.controlRow`, rowDepths, errors);
+};
+
+/**
+ * Checks a parsed layout definition. Returns a list of human readable
+ * problems, empty when the layout is usable.
+ */
+export const validateLayout = (layout) => {
+    const errors = [];
+    if (!isObject(layout)) return ['layout must be a JSON object'];
+
+    if (layout.schemaVersion !== LAYOUT_SCHEMA_VERSION) {
+        errors.push(`schemaVersion must be ${LAYOUT_SCHEMA_VERSION} (got ${describe(layout.schemaVersion)})`);
+    }
+    if (typeof layout.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/.test(layout.id)) {
+        errors.push(`id must be lowercase letters, digits, "-" or "_" (got ${describe(layout.id)})`);
+    }
+    if (typeof layout.name !== 'string' || !layout.name.trim()) errors.push('name must be a non-empty string');
+    if (layout.radiusStep !== undefined && !isPositive(layout.radiusStep)) {
+        errors.push(`radiusStep must be a positive number of px (got ${describe(layout.radiusStep)})`);
+    }
+    if (layout.specialKeyWidth !== undefined && !isPositive(layout.specialKeyWidth)) {
+        errors.push(`specialKeyWidth must be a positive number of degrees (got ${describe(layout.specialKeyWidth)})`);
+    }
+    if (layout.handInsetRatio !== undefined && !isNum(layout.handInsetRatio)) {
+        errors.push(`handInsetRatio must be a number (got ${describe(layout.handInsetRatio)})`);
+    }
+
+    if (!isObject(layout.modes)) {
+        errors.push(`modes must be an object with ${REQUIRED_MODES.join(' and ')}`);
+        return errors;
+    }
+    REQUIRED_MODES.forEach(name => {
+        if (layout.modes[name] === undefined) errors.push(`modes.${name} is required`);
+        else validateMode(layout.modes[name], `modes.${name}`, errors);
+    });
+
+    return errors;
+};
+
+// Parses and validates layout JSON text, throwing LayoutValidationError
+// with every problem found.
+export const parseLayout = (text) => {
+    let layout;
+    try {
+        layout = JSON.parse(text);
+    } catch (err) {
+        throw new LayoutValidationError([`not valid JSON: ${err.message}`]);
+    }
+    const errors = validateLayout(layout);
+    if (errors.length > 0) throw new LayoutValidationError(errors);
+    return layout;
+};
+
+export const serializeLayout = (layout) => JSON.stringify(layout, null, 2);
+
+// Geometry input for one mode of a layout definition.
+export const getModeLayout = (layout, modeName) => ({
+    ...layout.modes[modeName],
+    specialKeyWidth: layout.specialKeyWidth,
+});
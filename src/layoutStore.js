@@ -0,0 +1,47 @@
+/* =========================
+   LAYOUT FILE STORAGE
+   =========================
+   User layouts are JSON files (see layoutSchema.js) dropped into
+   <documents>/layouts. Exports are written to <documents>/exports so they
+   never shadow the file they came from.
+*/
+
+import RNFS from 'react-native-fs';
+import { parseLayout, serializeLayout } from './layoutSchema.js';
+
+export const LAYOUTS_DIR = `${RNFS.DocumentDirectoryPath}/layouts`;
+export const EXPORTS_DIR = `${RNFS.DocumentDirectoryPath}/exports`;
+
+/**
+ * Reads every *.json file in LAYOUTS_DIR. Files that fail validation are
+ * reported in `failures` as { file, errors } instead of aborting the load.
+ */
+export const loadUserLayouts = async () => {
+    const layouts = [];
+    const failures = [];
+
+    try {
+        await RNFS.mkdir(LAYOUTS_DIR);
+        const entries = await RNFS.readDir(LAYOUTS_DIR);
+        for (const entry of entries) {
+            if (!entry.isFile() || !entry.name.endsWith('.json')) continue;
+            try {
+                layouts.push(parseLayout(await RNFS.readFile(entry.path, 'utf8')));
+            } catch (err) {
+                failures.push({ file: entry.name, errors: err.errors || [err.message] });
+            }
+        }
+    } catch (err) {
+        console.warn('Could not read layout directory', err);
+    }
+
+    return { layouts, failures };
+};
+
+// Writes the layout as pretty JSON and returns the file path.
+export const exportLayout = async (layout) => {
+    await RNFS.mkdir(EXPORTS_DIR);
+    const path = `${EXPORTS_DIR}/${layout.id}.json`;
+    await RNFS.writeFile(path, serializeLayout(layout), 'utf8');
+    return path;
+};
@@ -0,0 +1,79 @@
+/* =========================
+   BUILT-IN LAYOUT
+   =========================
+   The default arc, written in the layout schema (see layoutSchema.js).
+   Variants live as JSON files in /layouts and are loaded the same way as
+   user-imported layouts.
+*/
+
+import { LAYOUT_SCHEMA_VERSION } from './layoutSchema.js';
+
+export const DEFAULT_LAYOUT_ID = 'standard';
+
+// Bottom-most arc, shared by every mode. Only the mode toggle label changes.
+const controlRow = (toggleLabel) => ({
+    radialDepth: 3,
+    keys: [
+        { char: toggleLabel, startAngle: 19, width: 7 },
+        { char: '<', startAngle: 27, width: 7 },
+        { char: 'SPACE', startAngle: 35, width: 20 },
+        { char: '>', startAngle: 56, width: 7 },
+        { char: 'RETURN', startAngle: 64, width: 7 },
+    ],
+});
+
+export const STANDARD_LAYOUT = {
+    schemaVersion: LAYOUT_SCHEMA_VERSION,
+    id: DEFAULT_LAYOUT_ID,
+    name: 'Standard',
+    radiusStep: 55,
+    specialKeyWidth: 9,
+    modes: {
+        ALPHA: {
+            rows: [
+                // Row 0 (QWERTY)
+                {
+                    chars: ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+                    radialDepth: 0,
+                    startAngle: 15,
+                    keyWidth: 5.5,
+                    gap: 0.2
+                },
+                // Row 1 (ASDF)
+                {
+                    chars: ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L'],
+                    radialDepth: 1,
+                    startAngle: 18,
+                    keyWidth: 5.5,
+                    gap: 0.2
+                },
+                // Row 2 (SHIFT + ZXCV)
+                {
+                    chars: ['SHIFT', 'Z', 'X', 'C', 'V', 'B', 'N', 'M', 'DELETE'],
+                    radialDepth: 2,
+                    startAngle: 15,
+                    keyWidth: 5.6,
+                    gap: 0.25
+                },
+            ],
+            controlRow: controlRow('123'),
+        },
+        NUMERIC: {
+            rows: [
+                {
+                    chars: ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'],
+                    radialDepth: 0, startAngle: 15, keyWidth: 5.5, gap: 0.2
+                },
+                {
+                    chars: ['@', '#', '$', '_', '&', '-', '+', '(', ')', '/'],
+                    radialDepth: 1, startAngle: 18, keyWidth: 5.5, gap: 0.2
+                },
+                {
+                    chars: ['SHIFT', '*', '"', "'", ':', ';', '!', '?', 'DELETE'],
+                    radialDepth: 2, startAngle: 8, keyWidth: 5.6, gap: 0.25
+                },
+            ],
+            controlRow: controlRow('ABC'),
+        },
+    },
+};
@@ -0,0 +1,145 @@
+/* =========================
+   LEXICON
+   =========================
+   Frequency-annotated vocabulary for the gesture decoder. Words are kept
+   sorted by descending count in parallel typed arrays, which doubles as the
+   compact prefilter index:
+
+   - masks[i]   26-bit set of the letters in word i
+   - lengths[i] word length
+   - weights[i] frequency prior in [0.3, 1], log-scaled from the count
+
+   For retrieval the word indices are also grouped by (first, last) letter:
+   the group for letters f, l is byEnds[endsStart[k] .. endsStart[k + 1]]
+   with k = f * 26 + l, each group in frequency order.
+
+   Word list files are plain text, one entry per line: `word count`
+   (any whitespace between the two; lines starting with # are ignored).
+   A missing count falls back to the line's rank.
+*/
+
+export const LEXICON_LIMIT = 40000;
+export const MAX_WORD_LENGTH = 14;
+
+/* =========================
+   Demo wordlist, used until a real list has loaded
+   Slightly frequency-ordered for better UX
+   ========================= */
+export const DEMO_WORDLIST = [
+    "the","be","to","of","and","a","in","that","have","i","it","for","not","on","with","he","as",
+    "you","do","at","this","but","his","by","from","they","we","say","her","she","or","an","will",
+    "my","one","all","would","there","their","what","so","up","out","if","about","who","get","which",
+    "go","me","when","make","can","like","time","no","just","him","know","take","people","into","year",
+    "your","good","some","could","them","see","other","than","then","now","look","only","come","its","over","think","also"
+];
+
+// Single letters that are real words; other one-letter entries in corpora
+// are mostly tokenizer debris ("s", "t" from contractions).
+const SINGLE_LETTER_WORDS = new Set(['a', 'i']);
+
+export const letterMask = (word) => {
+    let mask = 0;
+    for (let i = 0; i < word.length; i++) {
+        const bit = word.charCodeAt(i) - 97;
+        if (bit >= 0 && bit < 26) mask |= (1 << bit);
+    }
+    return mask >>> 0;
+};
+
+export const popcount = (mask) => {
+    let v = mask - ((mask >>> 1) & 0x55555555);
+    v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+    return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+};
+
+// Parses `word count` lines into [{ word, count }] in file order.
+export const parseWordList = (text) => {
+    const entries = [];
+    text.split(/\r?\n/).forEach(line => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+        const [word, rawCount] = trimmed.split(/\s+/);
+        const count = Number(rawCount);
+        entries.push({ word, count: isFinite(count) && count > 0 ? count : NaN });
+    });
+    // Rank-based counts for lines without one, so list order still matters
+    const n = entries.length;
+    entries.forEach((e, i) => {
+        if (isNaN(e.count)) e.count = n - i;
+    });
+    return entries;
+};
+
+/**
+ * Builds a lexicon from [{ word, count }]. Words are lowercased and merged;
+ * anything that cannot be swiped on a letter layout (digits, apostrophes,
+ * over-long words) is dropped, and only the `limit` most frequent are kept.
+ */
+export const createLexicon = (entries, { limit = LEXICON_LIMIT, source = 'custom' } = {}) => {
+    const merged = new Map();
+    entries.forEach(({ word, count }) => {
+        if (typeof word !== 'string') return;
+        const w = word.toLowerCase();
+        if (!/^[a-z]+$/.test(w) || w.length > MAX_WORD_LENGTH) return;
+        if (w.length === 1 && !SINGLE_LETTER_WORDS.has(w)) return;
+        merged.set(w, (merged.get(w) || 0) + count);
+    });
+
+    const sorted = [...merged.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit);
+    const size = sorted.length;
+    const words = new Array(size);
+    const counts = new Float64Array(size);
+    const weights = new Float32Array(size);
+    const masks = new Uint32Array(size);
+    const lengths = new Uint8Array(size);
+    const index = new Map();
+
+    const maxLog = Math.log1p(size > 0 ? sorted[0][1] : 1);
+    let total = 0;
+    sorted.forEach(([w, c], i) => {
+        words[i] = w;
+        counts[i] = c;
+        weights[i] = 0.3 + 0.7 * (maxLog > 0 ? Math.log1p(c) / maxLog : 1);
+        masks[i] = letterMask(w);
+        lengths[i] = w.length;
+        index.set(w, i);
+        total += c;
+    });
+
+    // Counting sort by (first, last) letter; stable, so groups stay frequency-ordered
+    const endsStart = new Uint32Array(26 * 26 + 1);
+    const endsKey = (w) => (w.charCodeAt(0) - 97) * 26 + (w.charCodeAt(w.length - 1) - 97);
+    words.forEach(w => { endsStart[endsKey(w) + 1]++; });
+    for (let k = 1; k < endsStart.length; k++) endsStart[k] += endsStart[k - 1];
+    const byEnds = new Uint32Array(size);
+    const fill = endsStart.slice(0, 26 * 26);
+    words.forEach((w, i) => { byEnds[fill[endsKey(w)]++] = i; });
+
+    return { source, size, words, counts, weights, masks, lengths, index, total, byEnds, endsStart };
+};
+
+// Frequency-ordered indices of the words starting with letter index
+// `first` and ending with `last` (0 = 'a').
+export const getEndsGroup = (lexicon, first, last) => {
+    const k = first * 26 + last;
+    return lexicon.byEnds.subarray(lexicon.endsStart[k], lexicon.endsStart[k + 1]);
+};
+
+// Lexicon from a plain frequency-ordered array (first word = most frequent).
+export const lexiconFromWords = (words, options) => (
+    createLexicon(words.map((word, i) => ({ word, count: words.length - i })), options)
+);
+
+export const DEMO_LEXICON = lexiconFromWords(DEMO_WORDLIST, { source: 'demo' });
+
+// Frequency prior used by the decoder; unknown words get a neutral 0.5.
+export const getWordWeight = (lexicon, word) => {
+    const i = lexicon.index.get(word);
+    return i === undefined ? 0.5 : lexicon.weights[i];
+};
+
+// Relative unigram frequency (0 for unknown words).
+export const getWordProbability = (lexicon, word) => {
+    const i = lexicon.index.get(word);
+    return i === undefined || lexicon.total === 0 ? 0 : lexicon.counts[i] / lexicon.total;
+};
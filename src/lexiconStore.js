@@ -0,0 +1,30 @@
+/* =========================
+   LEXICON LOADING
+   =========================
+   The decoder vocabulary comes from <documents>/lexicon.txt when that file
+   exists (format described in lexicon.js), otherwise from the bundled
+   SUBTLEX-US spoken-English frequency list.
+*/
+
+import RNFS from 'react-native-fs';
+import SUBTLEX_WORDS from 'subtlex-word-frequencies';
+import { createLexicon, parseWordList } from './lexicon.js';
+
+export const USER_LEXICON_PATH = `${RNFS.DocumentDirectoryPath}/lexicon.txt`;
+
+export const createBundledLexicon = () => createLexicon(SUBTLEX_WORDS, { source: 'bundled' });
+
+// Prefers the user's word list; falls back to the bundled one when the
+// file is missing, unreadable or yields no usable words.
+export const loadLexicon = async () => {
+    try {
+        if (await RNFS.exists(USER_LEXICON_PATH)) {
+            const lexicon = createLexicon(parseWordList(await RNFS.readFile(USER_LEXICON_PATH, 'utf8')), { source: 'user' });
+            if (lexicon.size > 0) return lexicon;
+            console.warn('User word list has no usable entries, using bundled list');
+        }
+    } catch (err) {
+        console.warn('Could not read user word list', err);
+    }
+    return createBundledLexicon();
+};
@@ -0,0 +1,159 @@
+/* =========================
+   TRANSCRIPTION PHRASES
+   =========================
+   Phrases for the typing test, taken from the MacKenzie & Soukoreff (2003)
+   phrase set: short, memorable, lowercase and free of punctuation, so
+   transcription errors come from the keyboard and not from spelling.
+
+   A `phrases.txt` in the documents directory (one phrase per line) replaces
+   this list, e.g. with the full 500-phrase set; see typingTestStore.js.
+*/
+
+export const BUNDLED_PHRASES = [
+    'my watch fell in the water',
+    'prevailing wind from the east',
+    'never too rich and never too thin',
+    'breathing is difficult',
+    'i can see the rings on saturn',
+    'physics and chemistry are hard',
+    'my bank account is overdrawn',
+    'elections bring out the best',
+    'we are having spaghetti',
+    'time to go shopping',
+    'a problem with the engine',
+    'elephants are afraid of mice',
+    'my favorite place to visit',
+    'three two one zero blast off',
+    'my favorite subject is psychology',
+    'circumstances are unacceptable',
+    'watch out for low flying objects',
+    'if at first you do not succeed',
+    'please provide your date of birth',
+    'we run the risk of failure',
+    'he is just like everyone else',
+    'great disturbance in the force',
+    'love means many things',
+    'you must be getting old',
+    'the world is a stage',
+    'neither a borrower nor a lender be',
+    'one heck of a question',
+    'question that must be answered',
+    'beware the ides of march',
+    'double double toil and trouble',
+    'the power of denial',
+    'i agree with you',
+    'do not say anything',
+    'play it again sam',
+    'the force is with you',
+    'an offer you cannot refuse',
+    'are you talking to me',
+    'yes you are very smart',
+    'all work and no play',
+    'hair gel is very greasy',
+    'the facts get in the way',
+    'did you have a good time',
+    'space is a high priority',
+    'you are a wonderful example',
+    'do not squander your time',
+    'do not drink too much',
+    'take a coffee break',
+    'popularity is desired by all',
+    'the music is better than it sounds',
+    'the living is easy',
+    'fish are jumping',
+    'the cotton is high',
+    'drove my chevy to the levee',
+    'but the levee was dry',
+    'come and see our new car',
+    'i am going to a music lesson',
+    'the opposing team is over there',
+    'soon we will return from the city',
+    'i am wearing a tie and a jacket',
+    'the quick brown fox jumped',
+    'all together in one big pile',
+    'wear a crown with many jewels',
+    'there will be some fog tonight',
+    'i am allergic to bees and peanuts',
+    'he is still on our team',
+    'the dow jones index has risen',
+    'my preferred treat is chocolate',
+    'the king sends you to the tower',
+    'we are subjects and must obey',
+    'goldilocks and the three bears',
+    'we went grocery shopping',
+    'the assignment is due today',
+    'what you see is what you get',
+    'for your information only',
+    'a quarter of a century',
+    'the store will close at ten',
+    'head shoulders knees and toes',
+    'vanilla flavored ice cream',
+    'frequently asked questions',
+    'round robin scheduling',
+    'information super highway',
+    'my favorite web browser',
+    'the laser printer is jammed',
+    'all good boys deserve fudge',
+    'the second largest country',
+    'call for more details',
+    'just in time for the party',
+    'have a good weekend',
+    'video camera with a zoom lens',
+    'that is very unfortunate',
+    'the back yard of our house',
+    'this is a very good idea',
+    'our fax number has changed',
+    'thank you for your help',
+    'the early bird gets the worm',
+    'buckle up for safety',
+    'this is too much to handle',
+    'protect your environment',
+    'world population is growing',
+    'the library is closed today',
+    'mary had a little lamb',
+    'we accept personal checks',
+    'user friendly interface',
+    'healthy food is good for you',
+    'this watch is too expensive',
+    'the postal service is very slow',
+    'communicate through email',
+    'the capital of our nation',
+    'travel at the speed of light',
+    'i do not fully agree with you',
+    'gas bills are sent monthly',
+    'life is but a dream',
+    'take it to the recycling depot',
+    'fall is my favorite season',
+    'a fox is a very smart animal',
+    'the kids are very excited',
+    'parking lot is full of trucks',
+    'my bike has a flat tire',
+    'do not walk too quickly',
+    'a duck quacks to ask for food',
+    'limited warranty of two years',
+    'the sun rises in the east',
+    'it is very windy today',
+    'do not worry about this',
+    'dashing through the snow',
+    'want to join us for lunch',
+    'stay away from strangers',
+    'accompanied by an adult',
+    'see you later alligator',
+    'i can play much better now',
+];
+
+// One phrase per line; blank lines and lines starting with '#' are skipped.
+export const parsePhraseText = (text) => text
+    .split(/\r?\n/)
+    .map(line => line.trim().replace(/\s+/g, ' '))
+    .filter(line => line && !line.startsWith('#'));
+
+// `count` phrases in random order without repeats (fewer if the set is small).
+export const pickPhrases = (phrases, count, rng = Math.random) => {
+    const pool = [...phrases];
+    for (let i = pool.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, count);
+};
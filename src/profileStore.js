@@ -0,0 +1,47 @@
+/* =========================
+   LAYOUT PROFILE STORAGE
+   =========================
+   Keeps the profile list (see profiles.js) in a small JSON file in the
+   app's document directory so tuned layouts survive restarts.
+*/
+
+import RNFS from 'react-native-fs';
+import { createProfileState, sanitizeProfileState, sanitizeSettings, updateActiveProfile } from './profiles.js';
+
+export const PROFILES_VERSION = 2;
+export const PROFILES_PATH = `${RNFS.DocumentDirectoryPath}/keyboard_profiles.json`;
+
+// Single-profile file written by earlier builds, migrated on first load.
+const LEGACY_PROFILE_PATH = `${RNFS.DocumentDirectoryPath}/keyboard_profile.json`;
+
+const readJson = async (path) => {
+    if (!(await RNFS.exists(path))) return null;
+    return JSON.parse(await RNFS.readFile(path, 'utf8'));
+};
+
+const migrateLegacyProfile = async (defaults) => {
+    const legacy = await readJson(LEGACY_PROFILE_PATH);
+    if (!legacy) return null;
+    const state = updateActiveProfile(createProfileState(defaults), sanitizeSettings(legacy, defaults));
+    await RNFS.unlink(LEGACY_PROFILE_PATH);
+    return state;
+};
+
+export const loadProfiles = async (defaults) => {
+    try {
+        const stored = sanitizeProfileState(await readJson(PROFILES_PATH), defaults);
+        return stored || await migrateLegacyProfile(defaults);
+    } catch (err) {
+        console.warn('Could not load keyboard profiles', err);
+        return null;
+    }
+};
+
+export const saveProfiles = async ({ activeId, profiles }) => {
+    const payload = { version: PROFILES_VERSION, activeId, profiles };
+    try {
+        await RNFS.writeFile(PROFILES_PATH, JSON.stringify(payload), 'utf8');
+    } catch (err) {
+        console.warn('Could not save keyboard profiles', err);
+    }
+};
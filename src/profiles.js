@@ -0,0 +1,139 @@
+/* =========================
+   USER PROFILES
+   =========================
+   Pure operations on the profile list. Each profile carries one person's
+   tuned geometry, hand mode and layout choice. The state shape is:
+
+   { activeId, profiles: [{ id, name, radius, offsetX, offsetY, handMode, layoutMode, layoutId, features, scorer, blockedWords, keyOffsets }] }
+
+   Every function returns a new state object, so they can be used directly
+   inside React state updaters.
+*/
+
+import { sanitizeKeyOffsets } from './keyOffsets.js';
+
+const HAND_MODES = ['LEFT', 'RIGHT'];
+const LAYOUT_MODES = ['ALPHA', 'NUMERIC'];
+const SCORERS = ['MSE', 'DTW', 'NEURAL'];
+
+const isNum = (v) => typeof v === 'number' && isFinite(v);
+
+// Each feature flag falls back to its default unless stored as a boolean.
+const sanitizeFeatures = (raw, defaults) => {
+    const src = raw && typeof raw === 'object' ? raw : {};
+    const features = {};
+    Object.keys(defaults).forEach(name => {
+        features[name] = typeof src[name] === 'boolean' ? src[name] : defaults[name];
+    });
+    return features;
+};
+
+// Lowercase, de-duplicated words; anything else is dropped.
+const sanitizeWordList = (raw) => (
+    Array.isArray(raw) ? [...new Set(raw.filter(w => typeof w === 'string' && w).map(w => w.toLowerCase()))] : []
+);
+
+const makeId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+// Keeps only well-formed settings so a corrupt file can never push NaN into
+// the geometry engine. Missing values fall back to `defaults`.
+export const sanitizeSettings = (raw, defaults) => {
+    const src = raw && typeof raw === 'object' ? raw : {};
+    return {
+        radius: isNum(src.radius) && src.radius > 0 ? src.radius : defaults.radius,
+        offsetX: isNum(src.offsetX) ? src.offsetX : defaults.offsetX,
+        offsetY: isNum(src.offsetY) ? src.offsetY : defaults.offsetY,
+        handMode: HAND_MODES.includes(src.handMode) ? src.handMode : defaults.handMode,
+        layoutMode: LAYOUT_MODES.includes(src.layoutMode) ? src.layoutMode : defaults.layoutMode,
+        // Unknown ids are kept; the app falls back to the default layout
+        // until a file with that id is imported again.
+        layoutId: typeof src.layoutId === 'string' && src.layoutId ? src.layoutId : defaults.layoutId,
+        features: sanitizeFeatures(src.features, defaults.features),
+        scorer: SCORERS.includes(src.scorer) ? src.scorer : defaults.scorer,
+        // Suggestions the user long-pressed away
+        blockedWords: Array.isArray(src.blockedWords) ? sanitizeWordList(src.blockedWords) : defaults.blockedWords,
+        // Learned touch bias per key (see keyOffsets.js)
+        keyOffsets: src.keyOffsets ? sanitizeKeyOffsets(src.keyOffsets) : defaults.keyOffsets,
+    };
+};
+
+export const createProfile = (name, settings) => ({
+    id: makeId(),
+    name,
+    ...settings,
+});
+
+export const createProfileState = (defaults, name = 'Default') => {
+    const profile = createProfile(name, defaults);
+    return { activeId: profile.id, profiles: [profile] };
+};
+
+export const getActiveProfile = (state) => (
+    state.profiles.find(p => p.id === state.activeId) || state.profiles[0]
+);
+
+// Picks a name that is not already taken: "Participant", "Participant 2", ...
+export const uniqueProfileName = (state, base) => {
+    const taken = new Set(state.profiles.map(p => p.name));
+    if (!taken.has(base)) return base;
+    let n = 2;
+    while (taken.has(`${base} ${n}`)) n++;
+    return `${base} ${n}`;
+};
+
+export const addProfile = (state, defaults, name = 'Profile') => {
+    const profile = createProfile(uniqueProfileName(state, name), defaults);
+    return { activeId: profile.id, profiles: [...state.profiles, profile] };
+};
+
+export const duplicateProfile = (state, id = state.activeId) => {
+    const source = state.profiles.find(p => p.id === id);
+    if (!source) return state;
+    const { id: _ignored, name, ...settings } = source;
+    const copy = createProfile(uniqueProfileName(state, `${name} copy`), settings);
+    return { activeId: copy.id, profiles: [...state.profiles, copy] };
+};
+
+export const renameProfile = (state, id, name) => ({
+    ...state,
+    profiles: state.profiles.map(p => (p.id === id ? { ...p, name } : p)),
+});
+
+// The last remaining profile cannot be deleted; deleting the active one
+// activates its neighbour.
+export const deleteProfile = (state, id) => {
+    if (state.profiles.length <= 1) return state;
+    const index = state.profiles.findIndex(p => p.id === id);
+    if (index === -1) return state;
+
+    const profiles = state.profiles.filter(p => p.id !== id);
+    const activeId = state.activeId === id
+        ? profiles[Math.min(index, profiles.length - 1)].id
+        : state.activeId;
+    return { activeId, profiles };
+};
+
+export const switchProfile = (state, id) => (
+    state.profiles.some(p => p.id === id) ? { ...state, activeId: id } : state
+);
+
+export const updateActiveProfile = (state, changes) => ({
+    ...state,
+    profiles: state.profiles.map(p => (p.id === state.activeId ? { ...p, ...changes } : p)),
+});
+
+// Rebuilds a state read from disk, dropping unusable entries.
+export const sanitizeProfileState = (raw, defaults) => {
+    if (!raw || !Array.isArray(raw.profiles)) return null;
+    const profiles = raw.profiles
+        .filter(p => p && typeof p.id === 'string')
+        .map(p => ({
+            id: p.id,
+            name: typeof p.name === 'string' && p.name.trim() ? p.name : 'Profile',
+            ...sanitizeSettings(p, defaults),
+        }));
+    if (profiles.length === 0) return null;
+
+    const activeId = profiles.some(p => p.id === raw.activeId) ? raw.activeId : profiles[0].id;
+    return { activeId, profiles };
+};
@@ -0,0 +1,136 @@
+/* =========================
+   THUMB-REACH CALIBRATION
+   =========================
+   Fits the arc to a hand. The user first sweeps the thumb along its most
+   comfortable arc, then taps a few targets placed on the arc that sweep
+   suggests. A circle is fitted to all samples (taps weigh more, as they are
+   deliberate), and the fitted circle becomes the middle of the letter rows:
+
+   radius    so that the average ring middle of the layout's rows lies on
+             the fitted radius
+   offsetX   fitted centre x minus the default hand centre (getHandCenterX)
+   offsetY   fitted centre y minus the default centre (getCenterY)
+
+   Points are { x, y } in keyboard coordinates, angles in degrees as in
+   geometry.polarToCartesian (0 = straight up, clockwise).
+*/
+
+import { getHandCenterX, getCenterY, RADIUS_STEP, HAND_INSET_RATIO } from './geometry.js';
+
+export const CALIBRATION_CONFIG = {
+    MIN_POINT_SPACING: 8,      // px between kept sweep samples
+    MIN_SWEEP_POINTS: 12,
+    MIN_SWEEP_ANGLE: 25,       // deg of arc the sweep must cover
+    TARGETS: 4,
+    TAP_WEIGHT: 5,             // a tap counts as this many sweep samples
+    MIN_RADIUS: 100,           // px; smaller fits are a hand wobble, not an arc
+};
+
+// Adds a sweep sample unless it is too close to the previous one.
+export const addSweepPoint = (points, x, y) => {
+    const last = points[points.length - 1];
+    if (last && Math.hypot(x - last.x, y - last.y) < CALIBRATION_CONFIG.MIN_POINT_SPACING) return points;
+    return [...points, { x, y }];
+};
+
+/**
+ * Least-squares circle through weighted points ({ x, y, weight? }), by the
+ * algebraic (Kåsa) fit. Returns { x, y, radius, residual } with residual
+ * the RMS distance of the points from the circle, or null when the points
+ * are (nearly) collinear.
+ */
+export const fitCircle = (points) => {
+    if (points.length < 3) return null;
+    const w = points.map(p => p.weight ?? 1);
+    const total = w.reduce((s, v) => s + v, 0);
+    // Work around the weighted mean for numerical stability
+    const mx = points.reduce((s, p, i) => s + w[i] * p.x, 0) / total;
+    const my = points.reduce((s, p, i) => s + w[i] * p.y, 0) / total;
+
+    let suu = 0, svv = 0, suv = 0, suuu = 0, svvv = 0, suvv = 0, svuu = 0;
+    points.forEach((p, i) => {
+        const u = p.x - mx;
+        const v = p.y - my;
+        suu += w[i] * u * u;
+        svv += w[i] * v * v;
+        suv += w[i] * u * v;
+        suuu += w[i] * u * u * u;
+        svvv += w[i] * v * v * v;
+        suvv += w[i] * u * v * v;
+        svuu += w[i] * v * u * u;
+    });
+    const det = suu * svv - suv * suv;
+    if (Math.abs(det) < 1e-9 * (suu + svv) ** 2) return null;
+
+    const bu = (suuu + suvv) / 2;
+    const bv = (svvv + svuu) / 2;
+    const uc = (bu * svv - bv * suv) / det;
+    const vc = (bv * suu - bu * suv) / det;
+    const radius = Math.sqrt(uc * uc + vc * vc + (suu + svv) / total);
+    const x = uc + mx;
+    const y = vc + my;
+
+    const residual = Math.sqrt(points.reduce(
+        (s, p, i) => s + w[i] * (Math.hypot(p.x - x, p.y - y) - radius) ** 2, 0,
+    ) / total);
+    return { x, y, radius, residual };
+};
+
+const angleOf = (center, p) => Math.atan2(p.y - center.y, p.x - center.x) * 180 / Math.PI + 90;
+
+// Smallest and largest angle of the points around `center`, in degrees.
+export const arcSpan = (center, points) => {
+    const first = angleOf(center, points[0]);
+    // Unwrap around the first point so an arc across the 180° seam stays whole
+    const angles = points.map(p => first + ((angleOf(center, p) - first + 540) % 360) - 180);
+    return { start: Math.min(...angles), end: Math.max(...angles) };
+};
+
+// TARGETS points spread over the inner part of the arc `span` of `circle`.
+export const placeTargets = (circle, span, count = CALIBRATION_CONFIG.TARGETS) => (
+    Array.from({ length: count }, (_, i) => {
+        const angle = span.start + (span.end - span.start) * (i + 1) / (count + 1);
+        const rad = (angle - 90) * Math.PI / 180;
+        return { x: circle.x + circle.radius * Math.cos(rad), y: circle.y + circle.radius * Math.sin(rad) };
+    })
+);
+
+/**
+ * Checks a finished sweep. Returns { circle, span } on success or
+ * { error } with a message to show the user.
+ */
+export const checkSweep = (points, { screenWidth, handMode }) => {
+    const { MIN_SWEEP_POINTS, MIN_SWEEP_ANGLE, MIN_RADIUS } = CALIBRATION_CONFIG;
+    if (points.length < MIN_SWEEP_POINTS) return { error: 'Sweep a longer arc with your thumb' };
+    const circle = fitCircle(points);
+    if (!circle) return { error: 'That sweep was a straight line, follow the curve of your thumb' };
+    if (circle.radius < MIN_RADIUS) return { error: 'That sweep curved too tightly, try one smooth arc' };
+    // The thumb pivots on its own side of the screen
+    const isLeft = circle.x < screenWidth / 2;
+    if (isLeft !== (handMode === 'LEFT')) return { error: `That arc does not pivot on the ${handMode.toLowerCase()} side` };
+    const span = arcSpan(circle, points);
+    if (span.end - span.start < MIN_SWEEP_ANGLE) return { error: 'Sweep further from one end of your reach to the other' };
+    return { circle, span };
+};
+
+// Final fit over the sweep and the target taps.
+export const fitReach = (sweep, taps) => fitCircle([
+    ...sweep,
+    ...taps.map(p => ({ ...p, weight: CALIBRATION_CONFIG.TAP_WEIGHT })),
+]);
+
+/**
+ * Profile settings { radius, offsetX, offsetY } that put the middle of the
+ * letter rows of `rows` (a mode layout's rows) on `circle`.
+ */
+export const calibratedSettings = (circle, {
+    rows, screenWidth, screenHeight, handMode, bottomInset = 0,
+    radiusStep = RADIUS_STEP, handInsetRatio = HAND_INSET_RATIO,
+}) => {
+    const meanDepth = rows.reduce((s, row) => s + row.radialDepth, 0) / rows.length;
+    return {
+        radius: Math.round(circle.radius + (meanDepth + 0.5) * radiusStep),
+        offsetX: Math.round(circle.x - getHandCenterX(screenWidth, handMode, 0, handInsetRatio)),
+        offsetY: Math.round(circle.y - getCenterY(screenHeight, bottomInset, 0)),
+    };
+};
@@ -0,0 +1,73 @@
+/* =========================
+   EMG-ALIGNED SESSION EXPORT
+   =========================
+   Turns a logged session (sessionLog.js events) into a typing timeline on
+   the EMG recording's clock. The user taps SYNC when the EMG recording
+   starts; that `sync` event becomes time zero and every exported row
+   carries its time in seconds from it, like the X[s]_<channel> columns of
+   the EMG CSV. With several sync taps the last one wins (a restarted
+   recording); events before it get negative times.
+
+   Columns (EXPORT_COLUMNS):
+
+   time_s      seconds from the sync marker
+   type        sync | key | swipe | trial_start | trial_end | layout
+   key         key: resolved key; swipe: inserted word or letters
+   trial       typing-test trial index (empty outside a trial)
+   text        trial_start: presented phrase; trial_end: transcription
+   radius, offsetX, offsetY, handMode, layoutMode, layoutId
+               keyboard geometry at that moment
+   detail      as in the session log
+   wall_ms     wall-clock time, ms since the Unix epoch
+
+   `layout` rows mark the start and every change of the geometry.
+*/
+
+import { csvRow } from './sessionLog.js';
+
+export const EXPORT_COLUMNS = [
+    'time_s', 'type', 'key', 'trial', 'text',
+    'radius', 'offsetX', 'offsetY', 'handMode', 'layoutMode', 'layoutId', 'detail', 'wall_ms',
+];
+
+const EXPORTED_TYPES = new Set(['sync', 'key', 'swipe', 'trial_start', 'trial_end']);
+const LAYOUT_FIELDS = ['radius', 'offsetX', 'offsetY', 'handMode', 'layoutMode', 'layoutId'];
+
+// Wall-clock time of the last sync tap, or null when there was none.
+export const findSyncTime = (events) => {
+    const syncs = events.filter(e => e.type === 'sync');
+    return syncs.length ? syncs[syncs.length - 1].t : null;
+};
+
+/**
+ * Export rows for `events`. Without a sync marker times count from the
+ * first event, and `synced` is false so the caller can warn.
+ */
+export const buildSessionExport = (events) => {
+    const syncTime = findSyncTime(events);
+    const zero = syncTime ?? (events.length ? events[0].t : 0);
+    const rows = [];
+    let layoutSignature = null;
+
+    events.forEach(event => {
+        const signature = LAYOUT_FIELDS.map(f => event[f]).join('|');
+        const row = (type, fields = {}) => {
+            const out = { time_s: (event.t - zero) / 1000, type, wall_ms: event.t };
+            LAYOUT_FIELDS.forEach(f => { out[f] = event[f]; });
+            out.trial = event.trial;
+            rows.push({ ...out, ...fields });
+        };
+        if (signature !== layoutSignature) {
+            layoutSignature = signature;
+            row('layout');
+        }
+        if (EXPORTED_TYPES.has(event.type)) {
+            row(event.type, { key: event.key, text: event.text, detail: event.detail });
+        }
+    });
+    return { rows, synced: syncTime !== null };
+};
+
+export const sessionExportToCsv = (rows) => (
+    [EXPORT_COLUMNS.join(','), ...rows.map(row => csvRow(EXPORT_COLUMNS.map(c => row[c])))].join('\n') + '\n'
+);
@@ -0,0 +1,96 @@
+/* =========================
+   SESSION LOG FORMAT
+   =========================
+   Everything the app records during a typing session for ergonomic
+   studies. Each session is written twice with the same events, as JSON
+   lines (<id>.jsonl) and as CSV with a header row (<id>.csv); see
+   sessionLogStore.js for where the files go.
+
+   Every event has these fields (CSV columns, in this order):
+
+   t           wall-clock time, ms since the Unix epoch
+   elapsed     ms since the session started
+   session     session id (also the file name)
+   profile     id of the active profile
+   type        session_start | touch_down | touch_move | touch_up | key | swipe | text
+               | sync | trial_start | trial_end
+   x, y        touch position in keyboard coordinates (px), touch events only
+   key         touch_*: key under the finger after hit testing (empty in gaps)
+               key:     key the keystroke resolved to after tap decoding
+               swipe:   inserted word or letters
+   text        text: the whole text after the change
+               trial_start: the presented phrase; trial_end: the transcription
+   selStart, selEnd
+               text: selection after the change
+   radius, offsetX, offsetY, handMode, layoutMode, layoutId
+               keyboard geometry when the event happened
+   trial       index of the typing-test trial in progress (empty outside one)
+   detail      type-specific extras: session_start: profile name and screen
+               size; key: 'tap' or 'button'; swipe: accepted | suggested |
+               letters; trial_*: typing test id, plus ' stopped' on the
+               trial_end of an abandoned test
+
+   A `sync` event is logged when the user taps SYNC at the start of an EMG
+   recording; sessionExport.js uses it as time zero.
+
+   Swipes are additionally written to <id>.strokes.jsonl in the
+   logged-stroke format read by scripts/train-gesture-model.mjs and
+   scripts/benchmark.mjs, labelled with the word that was inserted.
+*/
+
+export const LOG_COLUMNS = [
+    't', 'elapsed', 'session', 'profile', 'type', 'x', 'y', 'key', 'text', 'selStart', 'selEnd',
+    'radius', 'offsetX', 'offsetY', 'handMode', 'layoutMode', 'layoutId', 'trial', 'detail',
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Sortable, file-name-safe id down to the millisecond, so sessions started
+// in quick succession never share files: 20261019-142501-083
+export const createSessionId = (date = new Date()) => (
+    `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-`
+    + `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}-`
+    + String(date.getMilliseconds()).padStart(3, '0')
+);
+
+export const createSession = (profile, now = Date.now()) => ({
+    id: createSessionId(new Date(now)),
+    profile: profile.id,
+    startedAt: now,
+});
+
+// The geometry fields of a profile as logged with every event.
+export const layoutParams = ({ radius, offsetX, offsetY, handMode, layoutMode, layoutId }) => ({
+    radius, offsetX, offsetY, handMode, layoutMode, layoutId,
+});
+
+export const createLogEvent = (session, type, layout, fields = {}, now = Date.now()) => ({
+    t: now,
+    elapsed: now - session.startedAt,
+    session: session.id,
+    profile: session.profile,
+    type,
+    ...layout,
+    ...fields,
+});
+
+// Quotes a CSV field when it holds a comma, quote or line break.
+export const csvField = (value) => {
+    const text = typeof value === 'number' ? String(+value.toFixed(3)) : String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const csvRow = (values) => values.map(csvField).join(',');
+
+export const eventToCsv = (event) => csvRow(LOG_COLUMNS.map(column => event[column]));
+
+/**
+ * A swipe in the logged-stroke format:
+ * { word, points: [{ x, y, t }], geometry: { screenWidth, screenHeight,
+ *   handMode, radius, offsetX, offsetY, bottomInset, layoutId } }
+ */
+export const strokeRecord = (word, points, geometry) => ({
+    word,
+    points: points.map(p => ({ x: +p.x.toFixed(1), y: +p.y.toFixed(1), t: p.t })),
+    geometry,
+});
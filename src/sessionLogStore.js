@@ -0,0 +1,143 @@
+/* =========================
+   SESSION LOG STORAGE
+   =========================
+   <documents>/sessions/<id>.jsonl           events as JSON lines
+   <documents>/sessions/<id>.csv             the same events as CSV
+   <documents>/sessions/<id>.strokes.jsonl   swipes in the logged-stroke format
+   <documents>/sessions/<id>.export.csv      typing timeline on the EMG clock
+                                             (see sessionExport.js)
+
+   The format is described in sessionLog.js. Events are buffered and
+   appended in batches so logging never blocks a touch handler on disk I/O.
+*/
+
+import RNFS from 'react-native-fs';
+import { LOG_COLUMNS, eventToCsv } from './sessionLog.js';
+import { buildSessionExport, sessionExportToCsv } from './sessionExport.js';
+
+export const SESSIONS_DIR = `${RNFS.DocumentDirectoryPath}/sessions`;
+
+const FLUSH_DELAY_MS = 1000;
+const FLUSH_BATCH = 200;
+
+export const sessionPaths = (id) => ({
+    jsonl: `${SESSIONS_DIR}/${id}.jsonl`,
+    csv: `${SESSIONS_DIR}/${id}.csv`,
+    strokes: `${SESSIONS_DIR}/${id}.strokes.jsonl`,
+    export: `${SESSIONS_DIR}/${id}.export.csv`,
+});
+
+/**
+ * Opens the files for a session and returns { log(event), logStroke(record),
+ * flush() }. Writes are chained so batches land in order.
+ */
+export const createSessionWriter = (session) => {
+    const paths = sessionPaths(session.id);
+    let events = [];
+    let strokes = [];
+    let timer = null;
+    // Never truncate an existing log; a reused id appends to it
+    let pending = RNFS.mkdir(SESSIONS_DIR)
+        .then(() => RNFS.exists(paths.csv))
+        .then(exists => exists || RNFS.writeFile(paths.csv, LOG_COLUMNS.join(',') + '\n', 'utf8'))
+        .catch(err => console.warn('Could not create session log', err));
+
+    const flush = () => {
+        if (timer) clearTimeout(timer);
+        timer = null;
+        const batch = events;
+        const strokeBatch = strokes;
+        events = [];
+        strokes = [];
+        if (batch.length === 0 && strokeBatch.length === 0) return pending;
+
+        pending = pending.then(async () => {
+            if (batch.length > 0) {
+                await RNFS.appendFile(paths.jsonl, batch.map(e => JSON.stringify(e)).join('\n') + '\n', 'utf8');
+                await RNFS.appendFile(paths.csv, batch.map(eventToCsv).join('\n') + '\n', 'utf8');
+            }
+            if (strokeBatch.length > 0) {
+                await RNFS.appendFile(paths.strokes, strokeBatch.map(r => JSON.stringify(r)).join('\n') + '\n', 'utf8');
+            }
+        }).catch(err => console.warn('Could not write session log', err));
+        return pending;
+    };
+
+    const schedule = () => {
+        if (events.length + strokes.length >= FLUSH_BATCH) flush();
+        else if (!timer) timer = setTimeout(flush, FLUSH_DELAY_MS);
+    };
+
+    return {
+        session,
+        log: (event) => { events.push(event); schedule(); },
+        logStroke: (record) => { strokes.push(record); schedule(); },
+        flush,
+    };
+};
+
+// Events of a logged session, skipping lines that do not parse. With
+// `types`, lines of other event types are dropped before being parsed.
+export const readSessionEvents = async (id, types = null) => {
+    const text = await RNFS.readFile(sessionPaths(id).jsonl, 'utf8');
+    const markers = types && types.map(type => `"type":${JSON.stringify(type)}`);
+    return text.split('\n').flatMap(line => {
+        if (!line.trim() || (markers && !markers.some(marker => line.includes(marker)))) return [];
+        try {
+            return [JSON.parse(line)];
+        } catch (err) {
+            return [];
+        }
+    });
+};
+
+// Ids of all logged sessions, oldest first.
+export const listSessionIds = async () => {
+    try {
+        if (!(await RNFS.exists(SESSIONS_DIR))) return [];
+        const entries = await RNFS.readDir(SESSIONS_DIR);
+        return entries
+            .filter(entry => entry.isFile() && /^[^.]+\.jsonl$/.test(entry.name))
+            .map(entry => entry.name.replace(/\.jsonl$/, ''))
+            .sort();
+    } catch (err) {
+        console.warn('Could not read session directory', err);
+        return [];
+    }
+};
+
+/**
+ * Events of every session logged with the given profile, in order, except
+ * the session `skip` (e.g. the one still being written). `types` filters as
+ * in readSessionEvents.
+ */
+export const readProfileEvents = async (profileId, { types = null, skip = null } = {}) => {
+    const events = [];
+    for (const id of await listSessionIds()) {
+        if (id === skip) continue;
+        try {
+            const sessionEvents = await readSessionEvents(id, types);
+            if (sessionEvents.length && sessionEvents[0].profile === profileId) events.push(...sessionEvents);
+        } catch (err) {
+            console.warn(`Could not read session ${id}`, err);
+        }
+    }
+    return events;
+};
+
+/**
+ * Flushes the writer and writes its session's EMG-aligned export.
+ * Returns { path, rows, synced }, or null when the session could not be read.
+ */
+export const exportSession = async (writer) => {
+    await writer.flush();
+    try {
+        const { rows, synced } = buildSessionExport(await readSessionEvents(writer.session.id));
+        const path = sessionPaths(writer.session.id).export;
+        await RNFS.writeFile(path, sessionExportToCsv(rows), 'utf8');
+        return { path, rows: rows.length, synced };
+    } catch (err) {
+        console.warn('Could not export session', err);
+        return null;
+    }
+};
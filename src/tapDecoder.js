@@ -0,0 +1,90 @@
+/* =========================
+   PROBABILISTIC TAP DECODING
+   =========================
+   Resolves a tap on the letter keys to the most likely intended letter
+   instead of whatever sector the touch happened to land in. Each nearby key
+   is scored by where the touch sits in the arc's polar frame (radius and
+   angle around the hand center the keys were laid out from), and that
+   likelihood is combined with how well the letter continues the word being
+   typed according to the language model.
+
+   Both offsets are measured in key units (ring depths radially, key widths
+   along the arc), so the model behaves the same for every radius and for
+   either hand. A touch near the middle of a key keeps that key; only taps
+   close to an edge are swung by the language model.
+*/
+
+import { angleDelta, toPolar } from './hitTest.js';
+import { completeWord, scoreWord } from './languageModel.js';
+
+export const TAP_CONFIG = {
+    RADIAL_SIGMA: 0.45,     // ring depths
+    ANGULAR_SIGMA: 0.45,    // key widths
+    CANDIDATE_RANGE: 1.5,   // keys further off than this are not considered
+    LM_WEIGHT: 0.4,
+    // Share of the letter prior spread evenly, so no letter is ruled out
+    PRIOR_SMOOTHING: 0.1,
+    PRIOR_POOL: 200,
+};
+
+const isLetterKey = (keyData) => !keyData.isSpecial && /^[a-z]$/i.test(keyData.keyChar);
+
+// Offset of a point from a key's centre: { radial, angular } in key units.
+export const keyOffset = (pointX, pointY, keyData) => {
+    const { innerRadius, outerRadius, keyCenterAngle, widthAngle, centerX, centerY } = keyData;
+    const { radius, angle } = toPolar(pointX, pointY, centerX, centerY);
+    return {
+        radial: (radius - (innerRadius + outerRadius) / 2) / (outerRadius - innerRadius),
+        angular: angleDelta(angle, keyCenterAngle) / Math.abs(widthAngle),
+    };
+};
+
+/**
+ * Probability of each next letter given the letters of the current word
+ * (`prefix`) and the words before it: Map(letter -> probability). Words
+ * the prefix cannot complete contribute nothing; with no completions at all
+ * the map is empty and every letter counts the same.
+ */
+export const tapLetterPrior = (languageModel, context, prefix) => {
+    const p = prefix.toLowerCase();
+    const mass = new Map();
+    let total = 0;
+    completeWord(languageModel, context, p, TAP_CONFIG.PRIOR_POOL).forEach(word => {
+        if (word.length <= p.length || !word.startsWith(p)) return;
+        const letter = word[p.length];
+        const score = scoreWord(languageModel, context, word);
+        mass.set(letter, (mass.get(letter) || 0) + score);
+        total += score;
+    });
+    const prior = new Map();
+    if (total > 0) mass.forEach((m, letter) => prior.set(letter, m / total));
+    return prior;
+};
+
+/**
+ * The letter key a tap at (pointX, pointY) most likely meant, or null when
+ * no letter key is in range. `prior` comes from tapLetterPrior; pass an
+ * empty map to decode on geometry alone.
+ */
+export const decodeTap = (keys, pointX, pointY, prior = new Map()) => {
+    const { RADIAL_SIGMA, ANGULAR_SIGMA, CANDIDATE_RANGE, LM_WEIGHT, PRIOR_SMOOTHING } = TAP_CONFIG;
+    let best = null;
+    let bestScore = -Infinity;
+
+    keys.forEach(keyData => {
+        if (!isLetterKey(keyData)) return;
+        const { radial, angular } = keyOffset(pointX, pointY, keyData);
+        if (Math.abs(radial) > CANDIDATE_RANGE || Math.abs(angular) > CANDIDATE_RANGE) return;
+
+        let score = -((radial / RADIAL_SIGMA) ** 2 + (angular / ANGULAR_SIGMA) ** 2) / 2;
+        if (prior.size > 0) {
+            const p = prior.get(keyData.keyChar.toLowerCase()) || 0;
+            score += LM_WEIGHT * Math.log((1 - PRIOR_SMOOTHING) * p + PRIOR_SMOOTHING / 26);
+        }
+        if (score > bestScore) {
+            best = keyData;
+            bestScore = score;
+        }
+    });
+    return best;
+};
@@ -0,0 +1,111 @@
+/* =========================
+   TEXT EDITING
+   =========================
+   Pure editing operations on { text, selection }. `selection` holds start
+   and end indices; start === end is a plain cursor. Every function returns
+   a new state, so they can be passed straight to a React state updater.
+*/
+
+export const createEditorState = (text = '') => ({
+    text,
+    selection: { start: text.length, end: text.length },
+});
+
+const collapsed = (pos) => ({ start: pos, end: pos });
+
+const bounds = ({ start, end }) => ({
+    minPos: Math.min(start, end),
+    maxPos: Math.max(start, end),
+    hasSelection: start !== end,
+});
+
+export const hasSelection = (state) => bounds(state.selection).hasSelection;
+
+// Moves the cursor one step. With `extend`, '<' grows the selection start
+// to the left and '>' grows the end to the right instead.
+export const moveCursor = (state, direction, extend = false) => {
+    const { text, selection } = state;
+    const { start, end } = selection;
+    const { minPos, maxPos, hasSelection: selected } = bounds(selection);
+
+    if (direction < 0) {
+        if (extend) return { text, selection: { ...selection, start: Math.max(0, start - 1) } };
+        return { text, selection: collapsed(selected ? minPos : Math.max(0, start - 1)) };
+    }
+    if (extend) return { text, selection: { ...selection, end: Math.min(text.length, end + 1) } };
+    return { text, selection: collapsed(selected ? maxPos : Math.min(text.length, end + 1)) };
+};
+
+// Replaces the selection (or inserts at the cursor) with `value`.
+export const insertText = (state, value) => {
+    const { minPos, maxPos } = bounds(state.selection);
+    return {
+        text: state.text.slice(0, minPos) + value + state.text.slice(maxPos),
+        selection: collapsed(minPos + value.length),
+    };
+};
+
+// Backspace: removes the selected range, or the character before the cursor.
+export const deleteBackward = (state) => {
+    const { minPos, maxPos, hasSelection: selected } = bounds(state.selection);
+    if (selected) {
+        return { text: state.text.slice(0, minPos) + state.text.slice(maxPos), selection: collapsed(minPos) };
+    }
+    if (minPos === 0) return state;
+    return { text: state.text.slice(0, minPos - 1) + state.text.slice(minPos), selection: collapsed(minPos - 1) };
+};
+
+// Inserts a whole word at the cursor, separated from the previous word by a
+// single space and followed by one. Used when a swipe is accepted.
+export const commitWord = (state, word, trailingSpace = true) => {
+    const { minPos } = bounds(state.selection);
+    const before = state.text.slice(0, minPos);
+    const needsSeparator = before.length > 0 && !/\s$/.test(before);
+    return insertText(state, (needsSeparator ? ' ' : '') + word + (trailingSpace ? ' ' : ''));
+};
+
+// Bounds of the word touching the cursor (letters, digits and apostrophes).
+export const getWordAt = (text, index) => {
+    let start = index;
+    let end = index;
+    while (start > 0 && /[\w']/.test(text[start - 1])) start--;
+    while (end < text.length && /[\w']/.test(text[end])) end++;
+    return { start, end, word: text.slice(start, end) };
+};
+
+// Replaces the word at the cursor (or the last word before it, skipping
+// trailing whitespace) with `word` followed by a space.
+export const replaceCurrentWord = (state, word) => {
+    const { minPos } = bounds(state.selection);
+    let anchor = minPos;
+    while (anchor > 0 && /\s/.test(state.text[anchor - 1])) anchor--;
+    const range = getWordAt(state.text, anchor);
+    if (range.word.length === 0) return commitWord(state, word);
+
+    const after = state.text.slice(range.end).replace(/^ /, '');
+    const text = state.text.slice(0, range.start) + word + ' ' + after;
+    return { text, selection: collapsed(range.start + word.length + 1) };
+};
+
+// Replaces the word around `index` with `word` in place and moves the
+// cursor past it, adding a space unless one already follows.
+export const replaceWordAt = (state, index, word) => {
+    const range = getWordAt(state.text, index);
+    const after = state.text.slice(range.end);
+    const separator = /^\s/.test(after) ? '' : ' ';
+    const text = state.text.slice(0, range.start) + word + separator + after;
+    return { text, selection: collapsed(range.start + word.length + 1) };
+};
+
+// Replaces text[start, end) with `value`. A cursor after the range moves
+// with the text; one inside it ends up after the replacement.
+export const replaceRange = (state, start, end, value) => {
+    const shift = (pos) => {
+        if (pos <= start) return pos;
+        return pos >= end ? pos + value.length - (end - start) : start + value.length;
+    };
+    return {
+        text: state.text.slice(0, start) + value + state.text.slice(end),
+        selection: { start: shift(state.selection.start), end: shift(state.selection.end) },
+    };
+};
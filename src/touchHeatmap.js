@@ -0,0 +1,130 @@
+/* =========================
+   REACHABILITY HEATMAP
+   =========================
+   Summarises logged sessions (sessionLog.js events) for the diagnostic
+   overlay on the keyboard: where touches landed and how often each key's
+   keystrokes had to be deleted again.
+
+   Only events typed on the same layout, layout mode and hand as the current
+   keyboard are counted. Touch points are screen positions, so sessions with
+   another radius or offset still show where the thumb went, not which key
+   it meant.
+
+   A keystroke counts as an error when a DELETE removes it. Keystrokes are
+   stacked as they are typed and each DELETE pops the latest one; swipes,
+   cursor moves, trial boundaries and a new session clear the stack, since
+   after those a DELETE no longer maps onto a single keystroke.
+
+   Events are folded into an aggregate one at a time, so the app can feed
+   the current session straight from its logger and only read older
+   sessions from disk once.
+*/
+
+export const HEATMAP_CONFIG = {
+    CELL_SIZE: 16,         // px, side of a heatmap grid cell
+    MIN_PRESSES: 3,        // keys with fewer keystrokes show no error rate
+};
+
+const RESET_TYPES = new Set(['session_start', 'swipe', 'trial_start', 'trial_end']);
+const RESET_KEYS = new Set(['<', '>', 'SHIFT', '123', 'ABC']);
+
+// The only event types the aggregate looks at; others may be skipped unread.
+export const HEATMAP_EVENT_TYPES = ['touch_down', 'key', ...RESET_TYPES];
+
+const layoutSignature = ({ handMode, layoutMode, layoutId }) => `${layoutId}|${layoutMode}|${handMode}`;
+
+/**
+ * Empty aggregate: per layout, layout mode and hand, the touch-down counts
+ * per grid cell, the keystroke and error counts per key, and the sessions
+ * seen.
+ */
+export const createTouchAggregate = () => new Map();
+
+const bucketFor = (aggregate, event) => {
+    const id = layoutSignature(event);
+    let bucket = aggregate.get(id);
+    if (!bucket) {
+        bucket = { cells: new Map(), touches: 0, keys: {}, typed: [], sessions: new Set() };
+        aggregate.set(id, bucket);
+    }
+    return bucket;
+};
+
+const countKey = (bucket, key) => {
+    if (RESET_KEYS.has(key)) {
+        bucket.typed = [];
+    } else if (key === 'DELETE') {
+        const removed = bucket.typed.pop();
+        if (removed) bucket.keys[removed].errors++;
+    } else {
+        if (!bucket.keys[key]) bucket.keys[key] = { presses: 0, errors: 0 };
+        bucket.keys[key].presses++;
+        bucket.typed.push(key);
+    }
+};
+
+// Folds one logged event into `aggregate`. Events must arrive in log order.
+export const addTouchEvent = (aggregate, e, cellSize = HEATMAP_CONFIG.CELL_SIZE) => {
+    if (!HEATMAP_EVENT_TYPES.includes(e.type)) return;
+    const bucket = bucketFor(aggregate, e);
+    bucket.sessions.add(e.session);
+    if (RESET_TYPES.has(e.type)) {
+        bucket.typed = [];
+    } else if (e.type === 'touch_down') {
+        if (typeof e.x !== 'number' || typeof e.y !== 'number') return;
+        const cell = `${Math.floor(e.x / cellSize)},${Math.floor(e.y / cellSize)}`;
+        bucket.cells.set(cell, (bucket.cells.get(cell) || 0) + 1);
+        bucket.touches++;
+    } else if (e.key) {
+        countKey(bucket, e.key);
+    }
+};
+
+/**
+ * Everything the overlay draws for the current `layout` (layoutParams of
+ * the active profile), summed over `aggregates`: touch-downs as
+ * { cells: [{ x, y, count }], max, touches } with x/y the cell centre, an
+ * error rate for every key with at least MIN_PRESSES keystrokes, and the
+ * number of sessions.
+ */
+export const touchReport = (aggregates, layout, cellSize = HEATMAP_CONFIG.CELL_SIZE) => {
+    const id = layoutSignature(layout);
+    const buckets = aggregates.map(aggregate => aggregate.get(id)).filter(Boolean);
+    const counts = new Map();
+    const keys = {};
+    const sessions = new Set();
+    let touches = 0;
+    buckets.forEach(bucket => {
+        bucket.cells.forEach((count, cell) => counts.set(cell, (counts.get(cell) || 0) + count));
+        Object.entries(bucket.keys).forEach(([key, { presses, errors }]) => {
+            if (!keys[key]) keys[key] = { presses: 0, errors: 0 };
+            keys[key].presses += presses;
+            keys[key].errors += errors;
+        });
+        bucket.sessions.forEach(session => sessions.add(session));
+        touches += bucket.touches;
+    });
+
+    const cells = [...counts].map(([cell, count]) => {
+        const [col, row] = cell.split(',').map(Number);
+        return { x: (col + 0.5) * cellSize, y: (row + 0.5) * cellSize, count };
+    });
+    const errorRates = {};
+    Object.entries(keys).forEach(([key, { presses, errors }]) => {
+        if (presses >= HEATMAP_CONFIG.MIN_PRESSES) errorRates[key] = errors / presses;
+    });
+    return {
+        cells,
+        max: Math.max(0, ...cells.map(c => c.count)),
+        touches,
+        errorRates,
+        sessions: sessions.size,
+    };
+};
+
+// Aggregate of a list of events, e.g. sessions read back from disk.
+export const aggregateEvents = (events) => {
+    const aggregate = createTouchAggregate();
+    events.forEach(e => addTouchEvent(aggregate, e));
+    return aggregate;
+};
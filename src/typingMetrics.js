@@ -0,0 +1,124 @@
+/* =========================
+   TRANSCRIPTION METRICS
+   =========================
+   Text entry measures for the typing test, following Soukoreff & MacKenzie
+   (2003):
+
+   - WPM:  (|T| - 1) / S * 60 / 5, with S the seconds from the first to the
+           last input of the trial (the first character carries no time)
+   - KSPC: inputs per transcribed character. Every key press, swipe and
+           suggestion pick is one input.
+   - Error rates from the character classes
+       C    correct characters:          max(|P|, |T|) - MSD(P, T)
+       INF  incorrect and not fixed:     MSD(P, T)
+       IF   incorrect but fixed:         characters removed while typing
+     uncorrected = INF / (C + INF + IF), corrected = IF / (C + INF + IF).
+
+   P is the presented phrase, T the transcription, MSD the minimum string
+   distance (Levenshtein). IF uses the simple input-stream count: every
+   character that was entered and then deleted.
+*/
+
+/** Minimum string distance (insertions, deletions, substitutions). */
+export const msd = (a, b) => {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        prev = row;
+    }
+    return prev[b.length];
+};
+
+// Trailing whitespace and runs of spaces are not counted as errors.
+export const normalizeTranscription = (text) => text.replace(/\s+/g, ' ').trim();
+
+export const createTrial = (index, presented) => ({
+    index,
+    presented,
+    inputs: 0,
+    fixes: 0,       // delete presses
+    removed: 0,     // characters deleted while typing (IF)
+    firstInputAt: null,
+    lastInputAt: null,
+});
+
+// Counts one input; the first one starts the trial clock.
+export const recordInput = (trial, now, isDelete = false) => ({
+    ...trial,
+    inputs: trial.inputs + 1,
+    fixes: trial.fixes + (isDelete ? 1 : 0),
+    firstInputAt: trial.firstInputAt ?? now,
+    lastInputAt: now,
+});
+
+// Characters of `before` that are gone from `after` (common prefix/suffix
+// kept), i.e. what one edit removed.
+export const removedCharacters = (before, after) => {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+    let end = 0;
+    while (
+        end < before.length - start && end < after.length - start
+        && before[before.length - 1 - end] === after[after.length - 1 - end]
+    ) end++;
+    return before.length - start - end;
+};
+
+export const recordTextChange = (trial, before, after) => {
+    const removed = removedCharacters(before, after);
+    return removed > 0 ? { ...trial, removed: trial.removed + removed } : trial;
+};
+
+const rate = (part, total) => (total > 0 ? part / total : 0);
+
+/** Metrics of a finished trial given the transcribed text. */
+export const trialMetrics = (trial, text, endedAt = trial.lastInputAt) => {
+    const presented = trial.presented;
+    const transcribed = normalizeTranscription(text);
+    const seconds = trial.firstInputAt === null ? 0 : (endedAt - trial.firstInputAt) / 1000;
+    const INF = msd(presented, transcribed);
+    const C = Math.max(presented.length, transcribed.length) - INF;
+    const IF = trial.removed;
+    const total = C + INF + IF;
+    return {
+        index: trial.index,
+        presented,
+        transcribed,
+        startedAt: trial.firstInputAt,
+        seconds,
+        inputs: trial.inputs,
+        fixes: trial.fixes,
+        C,
+        INF,
+        IF,
+        wpm: seconds > 0 ? ((transcribed.length - 1) / seconds) * 60 / 5 : 0,
+        kspc: rate(trial.inputs, transcribed.length),
+        msd: INF,
+        uncorrectedErrorRate: rate(INF, total),
+        correctedErrorRate: rate(IF, total),
+        totalErrorRate: rate(INF + IF, total),
+    };
+};
+
+/**
+ * Session totals. WPM and KSPC pool characters and time over all trials;
+ * the error rates pool the character classes.
+ */
+export const summarizeTrials = (results) => {
+    const sum = (key) => results.reduce((s, r) => s + r[key], 0);
+    const chars = results.reduce((s, r) => s + Math.max(0, r.transcribed.length - 1), 0);
+    const seconds = sum('seconds');
+    const total = sum('C') + sum('INF') + sum('IF');
+    return {
+        trials: results.length,
+        seconds,
+        wpm: seconds > 0 ? (chars / seconds) * 60 / 5 : 0,
+        kspc: rate(sum('inputs'), results.reduce((s, r) => s + r.transcribed.length, 0)),
+        uncorrectedErrorRate: rate(sum('INF'), total),
+        correctedErrorRate: rate(sum('IF'), total),
+        totalErrorRate: rate(sum('INF') + sum('IF'), total),
+    };
+};
@@ -0,0 +1,52 @@
+/* =========================
+   TYPING TEST STORAGE
+   =========================
+   <documents>/phrases.txt                 optional phrase set (see phrases.js)
+   <documents>/typing-tests/<id>.json      a test: profile, geometry, trials
+                                           and session summary
+   <documents>/typing-tests/<id>.csv       one row per trial (TRIAL_COLUMNS)
+
+   Tests are rewritten after every trial, so an abandoned test keeps the
+   trials that were finished.
+*/
+
+import RNFS from 'react-native-fs';
+import { BUNDLED_PHRASES, parsePhraseText } from './phrases.js';
+import { csvRow } from './sessionLog.js';
+
+export const PHRASES_PATH = `${RNFS.DocumentDirectoryPath}/phrases.txt`;
+export const TYPING_TESTS_DIR = `${RNFS.DocumentDirectoryPath}/typing-tests`;
+
+export const TRIAL_COLUMNS = [
+    'test', 'profile', 'handMode', 'layoutId', 'index', 'presented', 'transcribed', 'startedAt', 'seconds',
+    'inputs', 'fixes', 'C', 'INF', 'IF', 'wpm', 'kspc', 'msd',
+    'uncorrectedErrorRate', 'correctedErrorRate', 'totalErrorRate',
+];
+
+export const loadPhrases = async () => {
+    try {
+        if (await RNFS.exists(PHRASES_PATH)) {
+            const phrases = parsePhraseText(await RNFS.readFile(PHRASES_PATH, 'utf8'));
+            if (phrases.length > 0) return { phrases, source: PHRASES_PATH };
+        }
+    } catch (err) {
+        console.warn('Could not read phrase set', err);
+    }
+    return { phrases: BUNDLED_PHRASES, source: 'bundled' };
+};
+
+export const saveTypingTest = async (test) => {
+    const rows = test.trials.map(trial => csvRow(TRIAL_COLUMNS.map(column => {
+        if (column === 'test') return test.id;
+        if (column === 'profile') return test.profile.name;
+        if (column === 'handMode' || column === 'layoutId') return test.layout[column];
+        return trial[column];
+    })));
+    try {
+        await RNFS.mkdir(TYPING_TESTS_DIR);
+        await RNFS.writeFile(`${TYPING_TESTS_DIR}/${test.id}.json`, JSON.stringify(test, null, 2), 'utf8');
+        await RNFS.writeFile(`${TYPING_TESTS_DIR}/${test.id}.csv`, [TRIAL_COLUMNS.join(','), ...rows].join('\n') + '\n', 'utf8');
+    } catch (err) {
+        console.warn('Could not save typing test', err);
+    }
+};